@@ -1,10 +1,20 @@
 #!/usr/bin/env node
 import os from "os";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import readline from "readline";
 import pty from "node-pty";
 import { randomUUID } from "crypto";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { execFileSync, spawn } from "child_process";
+import { EventEmitter } from "events";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SetLevelRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
+import xterm from "@xterm/headless";
+
+const { Terminal } = xterm;
 
 const sessions = new Map();
 
@@ -19,22 +29,545 @@ const server = new McpServer({
       sizes: ["256x256"]
     }
   ]
+}, {
+  capabilities: { logging: {} }
+});
+
+// Server log levels, most severe first
+const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+// MCP log levels, least severe first; MCP has no trace and calls warn "warning"
+const MCP_LOG_LEVELS = ["debug", "info", "notice", "warning", "error", "critical", "alert", "emergency"];
+const MCP_LEVEL_OF = { error: "error", warn: "warning", info: "info", debug: "debug", trace: "debug" };
+
+// LOG_LEVEL env: records up to this level go to stderr and LOG_FILE (default info; output chunks are traced at trace)
+// LOG_FILE env: also append records to this file, rotated at LOG_MAX_BYTES (default 10 MB) keeping LOG_MAX_FILES (default 3)
+const logConfig = {
+  level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : "info",
+  file: process.env.LOG_FILE || null,
+  maxBytes: Number(process.env.LOG_MAX_BYTES) || 10 * 1024 * 1024,
+  maxFiles: Number(process.env.LOG_MAX_FILES) || 3,
+  // Level requested by the client with logging/setLevel; log records are only sent as notifications once it is set
+  clientLevel: null,
+  fileBytes: null
+};
+
+// Helper function to check whether the client's logging/setLevel lets an MCP log message of this level through
+function clientAcceptsLevel(mcpLevel) {
+  return logConfig.clientLevel === null || MCP_LOG_LEVELS.indexOf(mcpLevel) >= MCP_LOG_LEVELS.indexOf(logConfig.clientLevel);
+}
+
+// Helper function to append a line to LOG_FILE, first rotating file -> file.1 -> file.2 ... when it would grow past maxBytes
+function writeLogFile(line) {
+  const { file, maxBytes, maxFiles } = logConfig;
+  try {
+    if (logConfig.fileBytes === null) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      logConfig.fileBytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+    const bytes = Buffer.byteLength(line);
+    if (logConfig.fileBytes > 0 && logConfig.fileBytes + bytes > maxBytes) {
+      for (let i = maxFiles - 1; i >= 1; i--) {
+        const from = i === 1 ? file : `${file}.${i - 1}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i}`);
+      }
+      if (maxFiles <= 1) fs.rmSync(file, { force: true });
+      logConfig.fileBytes = 0;
+    }
+    fs.appendFileSync(file, line);
+    logConfig.fileBytes += bytes;
+  } catch (e) {
+    process.stderr.write(JSON.stringify({ time: new Date().toISOString(), level: "error", message: `Failed to write log file ${file}: ${e.message}` }) + "\n");
+  }
+}
+
+// Helper function to write a structured log record as a JSON line to stderr and LOG_FILE,
+// and as notifications/message once the client selected a level with logging/setLevel
+function log(level, message, fields = {}) {
+  const mcpLevel = MCP_LEVEL_OF[level];
+  const toOutput = LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logConfig.level);
+  const toClient = logConfig.clientLevel !== null && clientAcceptsLevel(mcpLevel);
+  if (!toOutput && !toClient) return;
+
+  const record = { time: new Date().toISOString(), level, message, ...fields };
+  if (toOutput) {
+    const line = JSON.stringify(record) + "\n";
+    process.stderr.write(line);
+    if (logConfig.file) writeLogFile(line);
+  }
+  if (toClient) {
+    server.server.sendLoggingMessage({ level: mcpLevel, logger: "bg-server-mcp-shell", data: record }).catch(() => {});
+  }
+}
+
+// logging/setLevel: e.g. "debug" streams output chunk traces to the client while debugging
+server.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+  logConfig.clientLevel = request.params.level;
+  log("debug", "Client log level set", { clientLevel: request.params.level });
+  return {};
 });
 
+// Helper function to register a tool whose calls are logged with their outcome and duration
+function registerTool(name, config, handler) {
+  server.registerTool(name, config, async (args, extra) => {
+    const startedAt = Date.now();
+    try {
+      const result = await handler(args, extra);
+      const { ok, sessionId, error, errorCode } = result.structuredContent ?? {};
+      log(ok === false ? "warn" : "info", "Tool call", {
+        tool: name,
+        sessionId: sessionId ?? args.sessionId,
+        durationMs: Date.now() - startedAt,
+        ok,
+        error,
+        errorCode
+      });
+      return result;
+    } catch (e) {
+      log("error", "Tool call failed", { tool: name, sessionId: args.sessionId, durationMs: Date.now() - startedAt, error: e.message });
+      throw e;
+    }
+  });
+}
+
+// Helper function to quote an argument for POSIX shells
+function quoteShellArg(arg) {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+// Helper function to decode a pipe chunk as UTF-8, holding back a multi-byte sequence split across chunks.
+// Chunks that are not valid UTF-8 are returned as base64 so binary output survives JSON
+function decodePipeChunk(state, buf) {
+  let bytes = state.pending.length ? Buffer.concat([state.pending, buf]) : buf;
+  state.pending = Buffer.alloc(0);
+
+  // Find an incomplete sequence at the end: a lead byte within the last 3 bytes that needs more bytes
+  for (let back = 1; back <= Math.min(3, bytes.length); back++) {
+    const byte = bytes[bytes.length - back];
+    if ((byte & 0xc0) === 0x80) continue;
+    const needed = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    if (needed > back) {
+      state.pending = bytes.subarray(bytes.length - back);
+      bytes = bytes.subarray(0, bytes.length - back);
+    }
+    break;
+  }
+
+  try {
+    const data = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return { data, text: data };
+  } catch {
+    const all = Buffer.concat([bytes, state.pending]);
+    state.pending = Buffer.alloc(0);
+    return { data: all.toString("base64"), encoding: "base64", text: all.toString() };
+  }
+}
+
+// Helper function to spawn a process with plain pipes, wrapped in the subset of the node-pty interface sessions use.
+// onData listeners get (data, { stream, encoding, text }) so stdout and stderr stay apart; closeStdin() sends EOF
+function spawnPipeProcess(exe, argv, { cwd, env }) {
+  const child = spawn(exe, argv, {
+    cwd,
+    env,
+    stdio: ["pipe", "pipe", "pipe"],
+    windowsHide: true,
+    // Own process group like a PTY session leader, so the whole tree can be signalled
+    detached: os.platform() !== "win32"
+  });
+
+  const dataListeners = [];
+  const exitListeners = [];
+  let exited = false;
+
+  const emitExit = (exitCode, signal) => {
+    if (exited) return;
+    exited = true;
+    for (const listener of exitListeners) listener({ exitCode, signal });
+  };
+
+  for (const stream of ["stdout", "stderr"]) {
+    const state = { pending: Buffer.alloc(0) };
+    child[stream].on("data", (buf) => {
+      const { data, encoding, text } = decodePipeChunk(state, buf);
+      if (!data) return;
+      for (const listener of dataListeners) listener(data, { stream, encoding, text });
+    });
+    child[stream].on("end", () => {
+      if (!state.pending.length) return;
+      const rest = state.pending;
+      state.pending = Buffer.alloc(0);
+      for (const listener of dataListeners) listener(rest.toString("base64"), { stream, encoding: "base64", text: rest.toString() });
+    });
+  }
+  child.stdin.on("error", () => {});
+
+  child.on("close", (code, signal) => {
+    emitExit(code, signal ? os.constants.signals[signal] : null);
+  });
+  // Spawn failures (missing command, bad cwd) never produce a close with output; report them on stderr
+  child.on("error", (err) => {
+    adapter.spawnError = err;
+    for (const listener of dataListeners) listener(`${err.message}\n`, { stream: "stderr", text: `${err.message}\n` });
+    emitExit(err.code === "ENOENT" ? 127 : err.code === "EACCES" ? 126 : 1, null);
+  });
+
+  const adapter = {
+    pid: child.pid,
+    process: exe,
+    spawnError: null,
+    onData: (listener) => dataListeners.push(listener),
+    onExit: (listener) => exitListeners.push(listener),
+    write: (data) => child.stdin.write(data),
+    closeStdin: () => child.stdin.end(),
+    kill: (signal) => child.kill(signal),
+    resize: () => {
+      throw new Error("Pipe mode sessions have no terminal to resize");
+    }
+  };
+  return adapter;
+}
+
+// Helper function to create an error carrying a machine-readable code
+// (ENOENT_COMMAND, ENOENT_CWD, EACCES, SPAWN_FAILED, INVALID_ENV, TIMEOUT, SIGNALED)
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Helper function to translate a numeric exit signal (node-pty reports 0 for none) to its name, e.g. 11 -> "SIGSEGV"
+function signalName(signal) {
+  if (!signal) return null;
+  if (typeof signal === "string") return signal;
+  return Object.keys(os.constants.signals).find((name) => os.constants.signals[name] === signal) ?? `SIG${signal}`;
+}
+
+// Helper function to check that cwd is an accessible directory before spawning
+function validateCwd(cwd) {
+  let stat;
+  try {
+    stat = fs.statSync(cwd);
+  } catch {
+    throw codedError("ENOENT_CWD", `Working directory does not exist: ${cwd}`);
+  }
+  if (!stat.isDirectory()) throw codedError("ENOENT_CWD", `Working directory is not a directory: ${cwd}`);
+  try {
+    fs.accessSync(cwd, fs.constants.X_OK);
+  } catch {
+    throw codedError("EACCES", `Permission denied for working directory: ${cwd}`);
+  }
+}
+
+// Helper function to resolve cmd like the OS would (relative to cwd when it contains a path separator,
+// otherwise via PATH), so a missing or non-executable command is reported before spawning
+function resolveExecutable(cmd, { cwd, envPath = "" }) {
+  const isWin = os.platform() === "win32";
+  const extensions = isWin ? ["", ...(process.env.PATHEXT || ".COM;.EXE;.BAT;.CMD").split(";")] : [""];
+  const hasSeparator = cmd.includes("/") || (isWin && cmd.includes("\\"));
+  const candidates = hasSeparator
+    ? [path.resolve(cwd, cmd)]
+    : envPath.split(path.delimiter).filter(Boolean).map((dir) => path.resolve(cwd, dir, cmd));
+
+  let notExecutable = null;
+  for (const candidate of candidates) {
+    for (const extension of extensions) {
+      const file = candidate + extension;
+      try {
+        if (!fs.statSync(file).isFile()) continue;
+      } catch {
+        continue;
+      }
+      try {
+        fs.accessSync(file, fs.constants.X_OK);
+        return file;
+      } catch {
+        notExecutable = notExecutable ?? file;
+      }
+    }
+  }
+
+  if (notExecutable) throw codedError("EACCES", `Permission denied: ${notExecutable} is not executable`);
+  throw codedError("ENOENT_COMMAND", `Command not found: ${cmd}`);
+}
+
+// Helper function to signal end of input: close stdin of a pipe process, or send the EOF character to a PTY
+function writeEof(p) {
+  if (p.closeStdin) {
+    p.closeStdin();
+  } else {
+    p.write("\x04");
+  }
+}
+
+// Helper function to feed stdin to a freshly spawned process and end it with EOF.
+// A PTY only reports EOF on an empty line: one Ctrl-D flushes an unterminated last line, a second one ends input
+function writeStdin(p, data) {
+  if (data.length) p.write(data);
+  if (!p.closeStdin && data.length && data[data.length - 1] !== 0x0a) p.write("\x04");
+  writeEof(p);
+}
+
+// Variables still inherited from the server with inheritEnv: false, in addition to allowEnv
+const DEFAULT_ENV_ALLOWLIST = ["PATH", "HOME", "USER", "LOGNAME", "SHELL", "LANG", "LC_ALL", "TMPDIR", "TEMP", "TMP", "SYSTEMROOT", "COMSPEC", "PATHEXT"];
+
+// Helper function to parse a dotenv file: KEY=value lines with optional "export", # comments and quoted values
+function parseEnvFile(text) {
+  const vars = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+    const [, key, raw] = match;
+    const quoted = raw.match(/^(["'])(.*)\1$/);
+    if (!quoted) {
+      vars[key] = raw.replace(/\s+#.*$/, "");
+    } else if (quoted[1] === "'") {
+      vars[key] = quoted[2];
+    } else {
+      vars[key] = quoted[2].replace(/\\([nrt"\\])/g, (_, c) => ({ n: "\n", r: "\r", t: "\t" })[c] ?? c);
+    }
+  }
+  return vars;
+}
+
+// Helper function to load named environment profiles from the ENV_PROFILES env (a JSON object or the path of a JSON file)
+function loadEnvProfiles() {
+  const source = process.env.ENV_PROFILES;
+  if (!source) return {};
+  try {
+    return JSON.parse(source.trim().startsWith("{") ? source : fs.readFileSync(source, "utf8"));
+  } catch (e) {
+    log("error", `Failed to load ENV_PROFILES: ${e.message}`);
+    return {};
+  }
+}
+
+const ENV_PROFILES = loadEnvProfiles();
+
+// Helper function to build the environment of a spawned process. Layers are applied in order:
+// server env (all of it, or only the allowlist with inheritEnv: false), profile envFile and env, envFile, env, unsetEnv
+function buildSpawnEnv({ cwd, env = {}, envFile, unsetEnv = [], inheritEnv, allowEnv = [], envProfile }) {
+  const isWin = os.platform() === "win32";
+  let profile = {};
+  if (envProfile) {
+    profile = ENV_PROFILES[envProfile];
+    if (!profile) throw codedError("INVALID_ENV", `Unknown env profile: ${envProfile}`);
+  }
+
+  // Windows variable names are case-insensitive (PATH vs Path)
+  const normalize = (key) => (isWin ? key.toUpperCase() : key);
+  const allowed = new Set([...DEFAULT_ENV_ALLOWLIST, ...(profile.allowEnv ?? []), ...allowEnv].map(normalize));
+  const inherit = inheritEnv ?? profile.inheritEnv ?? true;
+  const result = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    if (inherit || allowed.has(normalize(key))) result[key] = value;
+  }
+
+  for (const layer of [profile, { envFile, env }]) {
+    for (const file of [layer.envFile ?? []].flat()) {
+      const filePath = path.resolve(cwd, file);
+      try {
+        Object.assign(result, parseEnvFile(fs.readFileSync(filePath, "utf8")));
+      } catch (e) {
+        throw codedError("INVALID_ENV", `Cannot read envFile ${filePath}: ${e.message}`);
+      }
+    }
+    Object.assign(result, layer.env ?? {});
+  }
+
+  for (const key of [...(profile.unsetEnv ?? []), ...unsetEnv]) delete result[key];
+  return result;
+}
+
+// Replacement for redacted secrets in session output
+const REDACTION_MASK = "[REDACTED]";
+
+// Token formats masked in all session output
+// A token starts at a word boundary, so words like "desk-booking-..." or "risk-assessment-..." are not masked
+const DEFAULT_REDACT_PATTERNS = [
+  "gh[pousr]_[A-Za-z0-9]{36,}", // GitHub tokens
+  "github_pat_[A-Za-z0-9_]{22,}",
+  "glpat-[A-Za-z0-9_-]{20,}", // GitLab tokens
+  "npm_[A-Za-z0-9]{36}(?![A-Za-z0-9])",
+  "xox[abposr]-[A-Za-z0-9-]{10,}", // Slack tokens
+  "AKIA[0-9A-Z]{16}(?![0-9A-Z])", // AWS access key ids
+  "sk-[A-Za-z0-9_-]{20,}", // API keys of OpenAI, Anthropic, Stripe and others
+  "eyJ[A-Za-z0-9_-]{8,}\\.eyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]+" // JWTs
+].map((source) => `(?<![A-Za-z0-9_-])${source}`).concat("(?<=[Bb]earer )[A-Za-z0-9._~+/-]{16,}=*");
+
+// REDACT_BUILTINS env: "false" masks only REDACT_ENV, redactEnv and redactPatterns, not the built-in token formats
+const REDACT_BUILTINS = process.env.REDACT_BUILTINS !== "false";
+
+// REDACT_ENV env: comma-separated variable names whose values are masked in the output of every process
+const REDACT_ENV = (process.env.REDACT_ENV || "").split(",").map((name) => name.trim()).filter(Boolean);
+
+// Helper function to escape a literal string for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Unterminated output that may continue a secret in the next chunk is held back at most this long
+const REDACT_HOLD_MS = 500;
+// How the built-in token formats begin
+const TOKEN_PREFIXES = ["ghp_", "gho_", "ghu_", "ghs_", "ghr_", "github_pat_", "glpat-", "npm_", "xoxa-", "xoxb-", "xoxp-", "xoxo-", "xoxs-", "xoxr-", "AKIA", "sk-", "eyJ", "Bearer ", "bearer "];
+// Output ending in the beginning of a token prefix, or in a prefix and token characters, may have been cut inside a token
+const TOKEN_TAIL = new RegExp(`(?<![A-Za-z0-9_-])(?:${TOKEN_PREFIXES.flatMap((prefix) => [
+  ...Array.from({ length: prefix.length - 1 }, (_, n) => escapeRegExp(prefix.slice(0, n + 1))),
+  `${escapeRegExp(prefix)}[A-Za-z0-9_.~+/=-]*`
+]).join("|")})$`);
+// Terminal escape sequences that end in a letter (cursor moves, colors, charset selection) are not tokens
+const ESCAPE_TAIL = /\x1b(?:\[[0-?]*[ -/]*[@-~]|[()][0-9A-Za-z]|[@-Z\\-_])$/;
+// Minimum number of characters of an unterminated line held back for pattern matches
+const REDACT_WINDOW = 512;
+
+// Helper function to create the redactor of a process. It masks the values the named variables have in the
+// process environment and matches of the token patterns, and counts every replacement.
+// Output flows through attach(p) to onData listeners. The unterminated last line of a chunk is held back when it
+// could be the start of a secret, and released with the next chunk, at exit or after REDACT_HOLD_MS
+function createRedactor({ spawnEnv, redactEnv = [], redactPatterns = [], redactBuiltins = REDACT_BUILTINS }) {
+  // Values shorter than 4 characters ("1", "yes") would mask unrelated output
+  const values = [...new Set([...REDACT_ENV, ...redactEnv].map((name) => spawnEnv[name]))]
+    .filter((value) => value && value.length >= 4)
+    .sort((a, b) => b.length - a.length);
+  // Binary chunks are matched byte-wise, against the latin1 view of the UTF-8 encoded values
+  const binaryValues = values.map((value) => Buffer.from(value).toString("latin1"));
+  const build = (literals) => {
+    const sources = [...literals.map(escapeRegExp), ...(redactBuiltins ? DEFAULT_REDACT_PATTERNS : []), ...redactPatterns];
+    // Nothing to mask: a pattern that never matches
+    if (sources.length === 0) return /(?!)/g;
+    return new RegExp(sources.map((source) => `(?:${source})`).join("|"), "g");
+  };
+
+  let textPattern;
+  let binaryPattern;
+  try {
+    textPattern = build(values);
+    binaryPattern = build(binaryValues);
+  } catch (e) {
+    throw new Error(`Invalid redactPatterns: ${e.message}`);
+  }
+
+  const window = Math.max(REDACT_WINDOW, ...values.map((value) => Buffer.byteLength(value)));
+  const listeners = [];
+  // Held back output per stream; binary output is kept as a latin1 string
+  const pending = new Map();
+  let holdTimer = null;
+
+  const mask = (match) => {
+    // A user pattern that also matches the empty string must not insert masks everywhere
+    if (!match) return match;
+    redactor.count++;
+    return REDACTION_MASK;
+  };
+
+  // Index from which the output is held back: the unterminated last line (at most window characters)
+  // when it ends with the beginning of a built-in token or of a secret value
+  const holdIndex = (text, literals) => {
+    const from = Math.max(text.lastIndexOf("\n") + 1, text.length - window);
+    const tail = text.slice(from);
+    if (!tail) return text.length;
+    if (redactBuiltins && TOKEN_TAIL.test(tail) && !ESCAPE_TAIL.test(tail)) return from;
+    const startsSecret = literals.some((value) => {
+      for (let n = Math.min(value.length - 1, tail.length); n > 0; n--) {
+        if (tail.endsWith(value.slice(0, n))) return true;
+      }
+      return false;
+    });
+    return startsSecret ? from : text.length;
+  };
+
+  // Redact output and pass it on; binary output (pipe mode) is passed on as base64
+  const release = (stream, text, binary) => {
+    if (!text) return;
+    if (!binary) {
+      const masked = text.replace(textPattern, mask);
+      for (const listener of listeners) listener(masked, { stream, text: masked });
+      return;
+    }
+    const bytes = Buffer.from(text.replace(binaryPattern, mask), "latin1");
+    for (const listener of listeners) listener(bytes.toString("base64"), { stream, encoding: "base64", text: bytes.toString() });
+  };
+
+  const flush = () => {
+    clearTimeout(holdTimer);
+    holdTimer = null;
+    const held = [...pending];
+    pending.clear();
+    for (const [stream, { text, binary }] of held) release(stream, text, binary);
+  };
+
+  const write = (data, { stream = "stdout", encoding } = {}) => {
+    const held = pending.get(stream);
+    pending.delete(stream);
+    const binary = encoding === "base64" || Boolean(held?.binary);
+    let text;
+    if (binary) {
+      const heldBytes = held ? Buffer.from(held.text, held.binary ? "latin1" : "utf8") : Buffer.alloc(0);
+      text = Buffer.concat([heldBytes, Buffer.from(data, encoding === "base64" ? "base64" : "utf8")]).toString("latin1");
+    } else {
+      text = (held?.text ?? "") + data;
+    }
+
+    const cut = holdIndex(text, binary ? binaryValues : values);
+    release(stream, text.slice(0, cut), binary);
+    if (cut < text.length) pending.set(stream, { text: text.slice(cut), binary });
+
+    clearTimeout(holdTimer);
+    holdTimer = pending.size > 0 ? setTimeout(flush, REDACT_HOLD_MS) : null;
+  };
+
+  const redactor = {
+    count: 0,
+    // Route the process output through the redactor; held back output is released before exit listeners run
+    attach(p) {
+      p.onData(write);
+      p.onExit(flush);
+    },
+    // Listener receives redacted (data, { stream, encoding, text }) like a pipe process listener
+    onData(listener) {
+      listeners.push(listener);
+    },
+    // Release held back output now, e.g. before reporting a process that is killed on timeout
+    flush,
+    // Whether output is held back; it is released by the next chunk, at exit or after REDACT_HOLD_MS
+    get holding() {
+      return pending.size > 0;
+    }
+  };
+  return redactor;
+}
+
 // Helper function to spawn PTY process
-function spawnPtyProcess({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false }) {
+// shell: true ($SHELL), "bash", "sh" or "zsh" runs cmd as a full command line with args quoted and appended
+// mode: "pipe" spawns without a terminal, keeping stdout and stderr apart
+// envFile, unsetEnv, inheritEnv, allowEnv and envProfile shape the environment (see buildSpawnEnv),
+// redactEnv, redactPatterns and redactBuiltins configure the returned output redactor (see createRedactor)
+function spawnPtyProcess({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false, shell = false, mode = "pty", envFile, unsetEnv, inheritEnv, allowEnv, envProfile, redactEnv, redactPatterns, redactBuiltins }) {
   const isWin = os.platform() === "win32";
-  const exe = isWin && shellOnWindows ? "powershell.exe" : cmd;
-  const argv = isWin && shellOnWindows
-    ? ["-NoLogo", "-Command", `${cmd} ${args.join(" ")}`]
-    : args;
+  const commandLine = shell
+    ? [cmd, ...args.map(quoteShellArg)].join(" ")
+    : [cmd, ...args].map(quoteShellArg).join(" ");
+
+  let exe = cmd;
+  let argv = args;
+  let shellPath = null;
+  if (isWin && (shellOnWindows || shell)) {
+    exe = shellPath = "powershell.exe";
+    argv = ["-NoLogo", "-Command", `${cmd} ${args.join(" ")}`];
+  } else if (shell) {
+    exe = shellPath = shell === true ? process.env.SHELL || "/bin/sh" : shell;
+    argv = ["-c", commandLine];
+  }
 
   // COLOR env: "true" = xterm-color (with ANSI), "false" or undefined = dumb (plain text)
   const useColor = process.env.COLOR === "true";
   const termType = useColor ? "xterm-color" : "dumb";
 
+  // Fail with a coded error instead of a confusing exit when cwd or the executable is wrong
+  validateCwd(cwd);
+
   // Build environment variables
-  const spawnEnv = { ...process.env, ...env };
+  const spawnEnv = buildSpawnEnv({ cwd, env, envFile, unsetEnv, inheritEnv, allowEnv, envProfile });
+  const redactor = createRedactor({ spawnEnv, redactEnv, redactPatterns, redactBuiltins });
   if (!useColor) {
     // Disable colors for most CLI tools
     spawnEnv.NO_COLOR = "1";
@@ -42,182 +575,2115 @@ function spawnPtyProcess({ cmd, args = [], cwd = process.cwd(), env = {}, cols =
     spawnEnv.TERM = "dumb";
   }
 
-  const p = pty.spawn(exe, argv, {
-    name: termType,
-    cols,
-    rows,
-    cwd,
-    env: spawnEnv
+  if (!(isWin && shellPath)) resolveExecutable(exe, { cwd, envPath: spawnEnv.PATH ?? spawnEnv.Path });
+
+  let p;
+  try {
+    p = mode === "pipe"
+      ? spawnPipeProcess(exe, argv, { cwd, env: spawnEnv })
+      : pty.spawn(exe, argv, {
+        name: termType,
+        cols,
+        rows,
+        cwd,
+        env: spawnEnv
+      });
+  } catch (e) {
+    throw codedError(e.code === "EACCES" ? "EACCES" : "SPAWN_FAILED", `Failed to start ${exe}: ${e.message}`);
+  }
+  redactor.attach(p);
+
+  return { pty: p, exe, argv, termType, commandLine, shell: shellPath, envKeys: Object.keys(spawnEnv).sort(), redactor };
+}
+
+// Signals accepted by sendSignal and stopProcess
+const SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP", "SIGQUIT", "SIGUSR1", "SIGUSR2", "SIGKILL"];
+
+// Helper function to signal a PTY process (Windows only supports plain termination)
+function killPty(p, signal) {
+  if (os.platform() === "win32") {
+    p.kill();
+  } else {
+    p.kill(signal);
+  }
+}
+
+// Helper function to wait for a session's process to exit, resolving false on timeout
+function waitForExit(session, timeoutMs) {
+  if (!session.isRunning) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const onExit = () => {
+      clearTimeout(timeoutHandle);
+      resolve(true);
+    };
+    const timeoutHandle = setTimeout(() => {
+      session.events.off("exit", onExit);
+      resolve(false);
+    }, timeoutMs);
+    session.events.once("exit", onExit);
   });
+}
 
-  return { pty: p, exe, argv };
+// Boot time and clock ticks per second, to turn /proc start times into timestamps (read once)
+let linuxClock = null;
+
+// Helper function to parse /proc/<pid>/stat: state, ppid, process group, session and start time in ms since the epoch
+function parseLinuxStat(stat) {
+  if (!linuxClock) {
+    const btime = fs.readFileSync("/proc/stat", "utf8").match(/^btime (\d+)$/m);
+    let ticks = 100;
+    try {
+      ticks = Number(execFileSync("getconf", ["CLK_TCK"], { encoding: "utf8" })) || 100;
+    } catch {}
+    linuxClock = { bootMs: btime ? Number(btime[1]) * 1000 : 0, ticks };
+  }
+  // Fields after the parenthesized command: state ppid pgrp session ... starttime is field 22 of the line
+  const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+  const [state, ppid, pgid, sid] = fields;
+  const startTime = linuxClock.bootMs + Math.round((Number(fields[19]) * 1000) / linuxClock.ticks);
+  return { state, ppid: Number(ppid), pgid: Number(pgid), sid: Number(sid), startTime };
 }
 
-// Tool: Run command and wait for completion
-server.registerTool(
-  "startProcessAndWait",
-  {
-    title: "Start Process And Wait",
-    description: "Run a command and wait for it to complete, returning the full output. Use for quick commands (npm --version, ls, git status). For long-running processes use startProcessBackground instead.",
-    inputSchema: {
-      cmd: z.string(),
-      args: z.array(z.string()).optional(),
-      cwd: z.string().optional(),
-      env: z.record(z.string()).optional(),
-      cols: z.number().optional(),
-      rows: z.number().optional(),
-      shellOnWindows: z.boolean().optional(),
-      timeoutMs: z.number().optional().describe("Timeout in milliseconds. Default 30000 (30s)")
-    },
-    outputSchema: {
-      ok: z.boolean(),
-      sessionId: z.string().optional(),
-      pid: z.number().optional(),
-      output: z.array(z.any()).optional(),
-      exitCode: z.number().nullable().optional(),
-      exitSignal: z.number().nullable().optional(),
-      error: z.string().optional()
+// Helper function to read pid, ppid, process group, session and start time of all processes (/proc on Linux, ps elsewhere)
+function readProcessTable() {
+  const platform = os.platform();
+  if (platform === "win32") return [];
+
+  if (platform === "linux") {
+    const table = [];
+    for (const name of fs.readdirSync("/proc")) {
+      if (!/^\d+$/.test(name)) continue;
+      try {
+        const stat = fs.readFileSync(`/proc/${name}/stat`, "utf8");
+        let command = stat.slice(stat.indexOf("(") + 1, stat.lastIndexOf(")"));
+        try {
+          const cmdline = fs.readFileSync(`/proc/${name}/cmdline`, "utf8").split("\0").join(" ").trim();
+          if (cmdline) command = cmdline;
+        } catch {}
+        table.push({ pid: Number(name), ...parseLinuxStat(stat), command });
+      } catch {
+        // Process exited while reading
+      }
     }
-  },
-  async ({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false, timeoutMs = 30000 }) => {
-    const { pty: p, exe, argv } = spawnPtyProcess({ cmd, args, cwd, env, cols, rows, shellOnWindows });
-    
-    const sessionId = randomUUID();
-    const outputBuffer = [];
-    
-    return new Promise((resolve) => {
-      let timeoutHandle;
-      
-      const cleanup = () => {
-        if (timeoutHandle) clearTimeout(timeoutHandle);
+    return table;
+  }
+
+  try {
+    const out = execFileSync("ps", ["-A", "-o", "pid=,ppid=,pgid=,stat=,lstart=,command="], { encoding: "utf8" });
+    return out.split("\n").filter((line) => line.trim()).map((line) => {
+      // lstart takes five words, e.g. "Mon Oct 19 12:00:00 2026"
+      const [pid, ppid, pgid, state, ...rest] = line.trim().split(/\s+/);
+      const startTime = Date.parse(rest.slice(0, 5).join(" "));
+      return {
+        pid: Number(pid),
+        ppid: Number(ppid),
+        pgid: Number(pgid),
+        sid: null,
+        state,
+        startTime: Number.isNaN(startTime) ? null : startTime,
+        command: rest.slice(5).join(" ")
       };
+    });
+  } catch {
+    return [];
+  }
+}
 
-      p.onData((data) => {
-        outputBuffer.push({ type: 'stdout', data, timestamp: new Date().toISOString() });
-        console.error(`[${sessionId}] ${data}`);
-      });
+// Helper function to collect a session's process tree: the leader, its descendants and
+// everything left in its process group or terminal session (orphans reparented to init)
+function collectProcessTree(session, table = readProcessTable()) {
+  const rootPid = session.pid;
+  // Once the session's processes are gone the OS may reuse their PIDs: a process that started before the
+  // session cannot belong to it. Start times are only precise to about a second, hence the margin
+  const startedAfter = Date.parse(session.startedAt) - 2000;
+  const candidates = table.filter((p) => p.startTime === null || p.startTime >= startedAfter);
 
-      p.onExit(({ exitCode, signal }) => {
-        cleanup();
-        outputBuffer.push({ 
-          type: 'exit', 
-          exitCode, 
-          signal, 
-          timestamp: new Date().toISOString() 
-        });
-        console.error(`[${sessionId}] Process exited: code=${exitCode}, signal=${signal}`);
-        
-        const output = {
-          ok: true,
-          sessionId,
-          pid: p.pid,
-          output: outputBuffer,
-          exitCode,
-          exitSignal: signal
-        };
-        
-        resolve({
-          content: [{ type: "text", text: JSON.stringify(output) }],
-          structuredContent: output
-        });
-      });
+  const members = new Map();
+  for (const p of candidates) {
+    // An exited leader's PID may already belong to an unrelated process
+    if ((session.isRunning && p.pid === rootPid) || p.pgid === rootPid || p.sid === rootPid) members.set(p.pid, p);
+  }
 
-      // Timeout handler
-      timeoutHandle = setTimeout(() => {
-        console.error(`[${sessionId}] Timeout after ${timeoutMs}ms, killing process`);
-        try { p.kill(); } catch {}
-        
-        const output = {
-          ok: false,
-          sessionId,
-          pid: p.pid,
-          output: outputBuffer,
-          error: `Process timeout after ${timeoutMs}ms`
-        };
-        
-        resolve({
-          content: [{ type: "text", text: JSON.stringify(output) }],
-          structuredContent: output
-        });
-      }, timeoutMs);
+  const queue = [...members.keys()];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    for (const p of candidates) {
+      if (p.ppid === parent && !members.has(p.pid)) {
+        members.set(p.pid, p);
+        queue.push(p.pid);
+      }
+    }
+  }
+
+  return [...members.values()].filter((p) => !p.state.startsWith("Z"));
+}
+
+// Helper function to check whether a process from the process table still exists and is not a zombie.
+// On Linux the start time must match too, so a reused PID does not count as the same process
+function isProcessAlive({ pid, startTime }) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  if (os.platform() === "linux") {
+    try {
+      const stat = parseLinuxStat(fs.readFileSync(`/proc/${pid}/stat`, "utf8"));
+      return stat.state !== "Z" && stat.startTime === startTime;
+    } catch {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Helper function to signal a session's whole process tree, wait for it to die and escalate to SIGKILL
+async function terminateProcessTree(session, { signal = "SIGHUP", gracePeriodMs = 5000, escalate = true } = {}) {
+  if (os.platform() === "win32") {
+    // node-pty terminates the console process tree on Windows
+    if (session.isRunning) killPty(session.pty, signal);
+    await waitForExit(session, gracePeriodMs);
+    return { escalated: false, survivors: [] };
+  }
+
+  // Keep every process seen so far: children may be reparented once their parent dies
+  const tracked = new Map();
+  const refresh = () => {
+    for (const p of collectProcessTree(session)) tracked.set(p.pid, p);
+    return [...tracked.values()].filter(isProcessAlive);
+  };
+  const signalAll = (list, sig) => {
+    for (const p of list) {
+      try { process.kill(p.pid, sig); } catch {}
+    }
+  };
+  const waitForAll = async (timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    let alive = refresh();
+    while (alive.length > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      alive = refresh();
+    }
+    return alive;
+  };
+
+  signalAll(refresh(), signal);
+  let alive = await waitForAll(gracePeriodMs);
+
+  let escalated = false;
+  if (alive.length > 0 && escalate && signal !== "SIGKILL") {
+    log("warn", `${alive.length} process(es) alive ${gracePeriodMs}ms after ${signal}, sending SIGKILL`, { pid: session.pid });
+    escalated = true;
+    signalAll(alive, "SIGKILL");
+    alive = await waitForAll(2000);
+  }
+
+  return { escalated, survivors: alive.map(({ pid, command }) => ({ pid, command })) };
+}
+
+// Helper function to compile one or more regex sources into RegExp objects
+function compilePatterns(patterns, flags = "") {
+  if (patterns === undefined) return [];
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.map((source) => new RegExp(source, flags));
+}
+
+// Helper function to get the text of an output entry: stdout/stderr data (base64 chunks decoded), null for events
+function entryText(entry) {
+  if (entry.type !== "stdout" && entry.type !== "stderr") return null;
+  return entry.encoding === "base64" ? Buffer.from(entry.data, "base64").toString() : entry.data;
+}
+
+// Helper function to join the buffered output text of a session after a seq
+function getOutputText(session, afterSeq) {
+  return session.output
+    .filter((entry) => entry.seq > afterSeq)
+    .map(entryText)
+    .filter((text) => text !== null)
+    .join("");
+}
+
+// Helper function to wait until session output matches a pattern, the process exits or the timeout elapses
+// skipChars skips already consumed text at the start of the first entry after afterSeq; each hit carries
+// a cursor ({ afterSeq, skipChars }) pointing right behind the match for expect-style follow-up waits
+function waitForSessionOutput(session, { patterns, failurePatterns = [], afterSeq = 0, skipChars = 0, timeoutMs = 30000, contextLines = 3 }) {
+  const startedAt = Date.now();
+
+  // Search the output text after afterSeq, returning the first pattern hit with the seq of its entry
+  const search = (regexes) => {
+    let text = "";
+    const offsets = [];
+    for (const entry of session.output) {
+      const entryData = entryText(entry);
+      if (entry.seq <= afterSeq || entryData === null) continue;
+      offsets.push({ seq: entry.seq, start: text.length });
+      text += entryData;
+    }
+
+    // Locate the entry containing a character position of the searched text
+    const locate = (pos) => {
+      let found = { seq: afterSeq, start: 0 };
+      for (const o of offsets) {
+        if (o.start > pos) break;
+        found = o;
+      }
+      return found;
+    };
+
+    // The earliest match wins; on a tie the pattern listed first
+    const searched = text.slice(skipChars);
+    let best = null;
+    regexes.forEach((regex, patternIndex) => {
+      const m = regex.exec(searched);
+      if (m && (!best || m.index < best.m.index)) best = { m, regex, patternIndex };
     });
+
+    if (best) {
+      const { m, regex, patternIndex } = best;
+      const matchStart = skipChars + m.index;
+      const matchEnd = matchStart + m[0].length;
+      const { seq } = locate(matchStart);
+      const end = locate(Math.max(matchStart, matchEnd - 1));
+
+      const lines = text.split(/\r?\n/);
+      const matchLine = text.slice(0, matchStart).split(/\r?\n/).length - 1;
+      const context = lines.slice(Math.max(0, matchLine - contextLines), matchLine + contextLines + 1);
+
+      const cursor = { afterSeq: end.seq - 1, skipChars: matchEnd - end.start };
+      return { pattern: regex.source, patternIndex, match: m[0], seq, context, cursor };
+    }
+    return null;
+  };
+
+  return new Promise((resolve) => {
+    let timeoutHandle;
+
+    const finish = (status, hit = null) => {
+      clearTimeout(timeoutHandle);
+      session.events.off("output", check);
+      session.events.off("exit", onExit);
+      resolve({
+        matched: status === "matched",
+        status,
+        ...(hit || {}),
+        index: hit ? session.output.findIndex((entry) => entry.seq === hit.seq) : undefined,
+        nextSeq: hit ? hit.seq : session.lastSeq,
+        isRunning: session.isRunning,
+        exitCode: session.exitCode,
+        elapsedMs: Date.now() - startedAt
+      });
+    };
+
+    // Failure patterns win over success patterns when both are present in the same output
+    const check = () => {
+      const failed = search(failurePatterns);
+      if (failed) {
+        finish("failed", failed);
+        return true;
+      }
+      const hit = search(patterns);
+      if (hit) {
+        finish("matched", hit);
+        return true;
+      }
+      return false;
+    };
+
+    const onExit = () => {
+      if (!check()) finish("exited");
+    };
+
+    if (check()) return;
+    if (!session.isRunning) return finish("exited");
+
+    session.events.on("output", check);
+    session.events.on("exit", onExit);
+    timeoutHandle = setTimeout(() => finish("timeout"), timeoutMs);
+  });
+}
+
+// Helper function to wait for the response to written input: a pattern match, quietMs without new output,
+// process exit or timeout. The PTY echo of the input is stripped so patterns only see the response.
+// Output held back by the redactor is still to come, so the session is not quiet while it is held
+function waitForInputResponse(session, { afterSeq, echo = "", patterns = [], quietMs, timeoutMs = 10000 }) {
+  const startedAt = Date.now();
+
+  const responseText = () => {
+    const text = getOutputText(session, afterSeq);
+    if (!echo) return text;
+    if (text.startsWith(echo)) return text.slice(echo.length);
+    // Echo still arriving
+    if (echo.startsWith(text)) return "";
+    return text;
+  };
+
+  return new Promise((resolve) => {
+    let timeoutHandle;
+    let quietHandle;
+
+    const finish = (status, match) => {
+      clearTimeout(timeoutHandle);
+      clearTimeout(quietHandle);
+      session.events.off("output", onOutput);
+      session.events.off("exit", onExit);
+      const result = {
+        matched: status === "matched",
+        status,
+        output: responseText(),
+        nextSeq: session.lastSeq,
+        isRunning: session.isRunning,
+        exitCode: session.exitCode,
+        elapsedMs: Date.now() - startedAt
+      };
+      if (match !== undefined) result.match = match;
+      resolve(result);
+    };
+
+    const check = () => {
+      const text = responseText();
+      for (const regex of patterns) {
+        const m = regex.exec(text);
+        if (m) {
+          finish("matched", m[0]);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    const armQuietTimer = () => {
+      if (quietMs === undefined) return;
+      clearTimeout(quietHandle);
+      quietHandle = setTimeout(() => {
+        // The release of the held output emits "output" and re-arms the timer
+        if (!session.redactor.holding) finish("quiet");
+      }, quietMs);
+    };
+
+    const onOutput = () => {
+      if (!check()) armQuietTimer();
+    };
+
+    const onExit = () => {
+      if (!check()) finish("exited");
+    };
+
+    if (check()) return;
+    if (!session.isRunning) return finish("exited");
+
+    session.events.on("output", onOutput);
+    session.events.on("exit", onExit);
+    armQuietTimer();
+    timeoutHandle = setTimeout(() => finish("timeout"), timeoutMs);
+  });
+}
+
+// Persistent shells for startShell: spawn arguments and setup that turns off echo, prompts and line editing
+// so the output between sentinel markers is exactly the command's output
+const SHELL_PROFILES = {
+  bash: { args: ["--noediting", "-i"], init: "stty -echo; PS1=''; PS2=''; unset PROMPT_COMMAND; HISTFILE=" },
+  zsh: { args: ["-i"], init: "unsetopt zle; stty -echo; PS1=''; RPS1=''; PS2=''; PROMPT_EOL_MARK=''; HISTFILE=" },
+  sh: { args: ["-i"], init: "stty -echo; PS1=''; PS2=''" }
+};
+
+// Helper function to run a command in a persistent shell session between unique sentinel markers.
+// The command is wrapped in a { } group so cd/export persist and a command reading stdin cannot swallow the end marker.
+// Output is collected as it arrives, because the session buffer may evict the start of a noisy command's output;
+// like startProcessAndWait output it is bounded to maxChars with a short head and a long tail
+async function runShellCommand(session, command, timeoutMs = 30000, { maxChars = 20000 } = {}) {
+  const id = randomUUID();
+  const begin = `\x1eMCP_BEGIN_${id}\x1e`;
+  const endPattern = new RegExp(`\x1eMCP_END_${id}_(\\d+)\x1e([^\x1e]*)\x1e`);
+  const startedAt = Date.now();
+  const headBudget = Math.floor(maxChars * 0.2);
+  const tailBudget = maxChars - headBudget;
+  // Longest possible end marker (the cwd may be long); the tail keeps at least this much beyond its budget
+  const markerChars = 4096;
+
+  let lastSeq = session.lastSeq;
+  const capture = { before: "", started: false, head: "", tail: "", omittedChars: 0, omittedLines: 0 };
+  const append = (text) => {
+    if (capture.omittedChars === 0 && capture.tail === "" && capture.head.length < headBudget) {
+      const room = headBudget - capture.head.length;
+      capture.head += text.slice(0, room);
+      text = text.slice(room);
+    }
+    capture.tail += text;
+    // Trim in batches so a stream of small chunks does not copy the tail every time
+    if (capture.tail.length > tailBudget + markerChars * 2) {
+      const dropped = capture.tail.slice(0, capture.tail.length - tailBudget - markerChars);
+      capture.omittedChars += dropped.length;
+      capture.omittedLines += (dropped.match(/\n/g) || []).length;
+      capture.tail = capture.tail.slice(dropped.length);
+    }
+  };
+  const collect = () => {
+    // New entries are at the end of the buffer; walk back to the first unseen one
+    let first = session.output.length;
+    while (first > 0 && session.output[first - 1].seq > lastSeq) first--;
+    for (const entry of session.output.slice(first)) {
+      lastSeq = entry.seq;
+      const text = entryText(entry);
+      if (text === null) continue;
+      if (capture.started) {
+        append(text);
+        continue;
+      }
+      capture.before += text;
+      const index = capture.before.indexOf(begin);
+      if (index === -1) {
+        // Keep enough to find a begin marker split across chunks
+        capture.before = capture.before.slice(-begin.length);
+      } else {
+        capture.started = true;
+        append(capture.before.slice(index + begin.length).replace(/^\r?\n/, ""));
+        capture.before = "";
+      }
+    }
+  };
+
+  const result = await new Promise((resolve) => {
+    let timeoutHandle;
+    const finish = (status) => {
+      clearTimeout(timeoutHandle);
+      session.events.off("output", onOutput);
+      session.events.off("exit", onExit);
+      resolve(status);
+    };
+    const onOutput = () => {
+      collect();
+      if (endPattern.test(capture.tail) || (capture.omittedChars === 0 && endPattern.test(capture.head + capture.tail))) {
+        finish("completed");
+      }
+    };
+    const onExit = () => {
+      collect();
+      finish("exited");
+    };
+    session.events.on("output", onOutput);
+    session.events.once("exit", onExit);
+    timeoutHandle = setTimeout(() => finish("timeout"), timeoutMs);
+
+    session.pty.write(
+      `printf '\\036MCP_BEGIN_%s\\036\\n' '${id}'; {\n${command}\n}; ` +
+      `__mcp_ec=$?; printf '\\036MCP_END_%s_%s\\036%s\\036\\n' '${id}' "$__mcp_ec" "$PWD"\n`
+    );
+  });
+  const durationMs = Date.now() - startedAt;
+
+  // Without omitted output head and tail are one contiguous text; otherwise the end marker is in the tail
+  const truncated = capture.omittedChars > 0;
+  let head = truncated ? capture.head : "";
+  let tail = truncated ? capture.tail : capture.head + capture.tail;
+  const end = result === "completed" ? endPattern.exec(tail) : null;
+  if (end) tail = tail.slice(0, end.index);
+
+  const fields = { exitCode: end ? Number(end[1]) : null, durationMs };
+  if (end) fields.cwd = end[2];
+
+  if (!truncated && tail.length <= maxChars) {
+    return { status: result, output: tail, ...fields };
+  }
+
+  // Cut at line boundaries and count what falls between head and tail
+  let omittedChars = capture.omittedChars;
+  let omittedLines = capture.omittedLines;
+  if (!truncated) {
+    head = tail.slice(0, headBudget);
+    tail = tail.slice(headBudget);
+  }
+  const headEnd = head.lastIndexOf("\n") + 1;
+  const tailExtra = Math.max(0, tail.length - tailBudget);
+  const tailAtLineStart = tailExtra === 0 && (head === "" || head.endsWith("\n"));
+  const tailStart = tailAtLineStart ? 0 : tail.indexOf("\n", Math.max(0, tailExtra - 1)) + 1;
+  const omitted = head.slice(headEnd) + tail.slice(0, tailStart);
+  omittedChars += omitted.length;
+  omittedLines += (omitted.match(/\n/g) || []).length;
+  head = head.slice(0, headEnd);
+  tail = tail.slice(tailStart);
+
+  return {
+    status: result,
+    output: `${head}[... ${omittedLines} lines omitted ...]\n${tail}`,
+    truncated: true,
+    omittedLines,
+    omittedChars,
+    ...fields
+  };
+}
+
+// Helper function to create a headless terminal that models the visible screen of a session
+// convertEol renders bare \n output of pipe mode sessions (no terminal line discipline) as new lines
+function createScreen(cols, rows, { convertEol = false } = {}) {
+  return new Terminal({ cols, rows, scrollback: 1000, allowProposedApi: true, convertEol });
+}
+
+// Helper function to read the rendered screen once all pending output has been parsed
+function readScreen(screen, { scrollbackLines = 0 } = {}) {
+  return new Promise((resolve) => {
+    screen.write("", () => {
+      const buffer = screen.buffer.active;
+      const lineAt = (y) => (buffer.getLine(y)?.translateToString(true) ?? "").trimEnd();
+
+      const lines = [];
+      for (let y = buffer.baseY; y < buffer.baseY + screen.rows; y++) {
+        lines.push(lineAt(y));
+      }
+
+      const scrollback = [];
+      for (let y = Math.max(0, buffer.baseY - scrollbackLines); y < buffer.baseY; y++) {
+        scrollback.push(lineAt(y));
+      }
+
+      resolve({
+        cols: screen.cols,
+        rows: screen.rows,
+        lines,
+        cursor: { x: buffer.cursorX, y: buffer.cursorY },
+        bufferType: buffer.type,
+        scrollback
+      });
+    });
+  });
+}
+
+// Helper function to append an entry to a session's output buffer with a monotonic sequence number
+function pushOutput(session, entry) {
+  session.lastSeq++;
+  const record = { seq: session.lastSeq, ...entry };
+  session.output.push(record);
+  if (session.output.length > session.maxBufferSize) {
+    session.output.shift(); // Remove oldest
+    session.droppedCount++;
+  }
+
+  // Spill every entry to the session log so evicted ranges can be read back
+  const stream = session.logStream;
+  if (stream && !stream.writableEnded && !stream.destroyed) {
+    const line = JSON.stringify(record) + "\n";
+    stream.write(line, (e) => {
+      if (!e) session.logBytes += Buffer.byteLength(line);
+    });
+  }
+}
+
+// Helper function to create the log file for a session, returning its path
+function createSessionLog(logDir, sessionId) {
+  fs.mkdirSync(logDir, { recursive: true });
+  const logPath = path.join(logDir, `${sessionId}.jsonl`);
+  fs.writeFileSync(logPath, "");
+  return logPath;
+}
+
+// Helper function to open the append stream of a session log; write errors are logged once and end the logging
+function openSessionLog(logPath, sessionId) {
+  const stream = fs.createWriteStream(logPath, { flags: "a" });
+  stream.on("error", (e) => {
+    log("error", `Failed to write session log ${logPath}: ${e.message}`, { sessionId });
+  });
+  return stream;
+}
+
+// Helper function to close a session log once the entries written so far are on disk
+function closeSessionLog(session) {
+  if (session.logStream && !session.logStream.writableEnded) session.logStream.end();
+}
+
+// Helper function to wait until the entries written to a session log so far are on disk
+function flushSessionLog(session) {
+  const stream = session.logStream;
+  if (!stream || stream.destroyed || stream.writableLength === 0) return Promise.resolve();
+  return new Promise((resolve) => {
+    if (stream.writableEnded) stream.once("close", resolve);
+    else stream.write("", () => resolve());
+  });
+}
+
+// Helper function to stream entries from a session log that pass the filter
+async function readLogEntries(session, filter) {
+  await flushSessionLog(session);
+  const entries = [];
+  const rl = readline.createInterface({ input: fs.createReadStream(session.logPath), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line) continue;
+    const entry = JSON.parse(line);
+    if (filter(entry)) entries.push(entry);
+  }
+  return entries;
+}
+
+// Helper function to rebuild numbered lines between fromLine and toLine from a session log
+async function readLogLines(session, { fromLine = 1, toLine = Infinity }) {
+  const numbered = [];
+  let partial = "";
+  let lineNumber = 0;
+  await readLogEntries(session, (entry) => {
+    const text = entryText(entry);
+    if (text === null) return false;
+    const parts = (partial + text).split(/\r?\n/);
+    partial = parts.pop();
+    for (const text of parts) {
+      lineNumber++;
+      if (lineNumber >= fromLine && lineNumber <= toLine) numbered.push({ line: lineNumber, text });
+    }
+    return false;
+  });
+  if (partial && lineNumber + 1 >= fromLine && lineNumber + 1 <= toLine) {
+    numbered.push({ line: lineNumber + 1, text: partial, partial: true });
+  }
+  return numbered;
+}
+
+// Escape sequences for named keys: CSI letter keys (cursor keys) and CSI ~ keys (editing/function keys)
+const CURSOR_KEYS = { up: "A", down: "B", right: "C", left: "D", home: "H", end: "F" };
+const TILDE_KEYS = {
+  insert: 2, delete: 3, pageup: 5, pagedown: 6,
+  f5: 15, f6: 17, f7: 18, f8: 19, f9: 20, f10: 21, f11: 23, f12: 24
+};
+const SS3_KEYS = { f1: "P", f2: "Q", f3: "R", f4: "S" };
+const PLAIN_KEYS = { enter: "\r", tab: "\t", escape: "\x1b", backspace: "\x7f", space: " " };
+const KEY_ALIASES = {
+  return: "enter", esc: "escape", bspace: "backspace", bs: "backspace", spc: "space",
+  pgup: "pageup", ppage: "pageup", pgdn: "pagedown", npage: "pagedown",
+  ins: "insert", ic: "insert", del: "delete", dc: "delete", btab: "s-tab"
+};
+
+// Helper function to translate a named key or chord (e.g. "Down", "C-c", "M-x", "S-Tab", "C-Left", "F5")
+// into the escape sequence for the session's terminal type, or null if it is not a key name
+function translateKey(key, { term = "dumb", applicationCursor = false } = {}) {
+  const match = /^((?:[CMS]-)*)(.+)$/i.exec(key);
+  // An empty string is no key name; it is sent as (empty) literal text
+  if (!match) return null;
+  const [, prefix = "", rawName] = match;
+  const mods = new Set(prefix.toUpperCase().split("-").filter(Boolean));
+  const lower = rawName.toLowerCase();
+  const name = KEY_ALIASES[lower] ?? lower;
+  if (name === "s-tab") mods.add("S");
+  const xterm = term !== "dumb";
+  // xterm modifier parameter: 1 + Shift(1) + Alt(2) + Ctrl(4)
+  const modParam = 1 + (mods.has("S") ? 1 : 0) + (mods.has("M") ? 2 : 0) + (mods.has("C") ? 4 : 0);
+
+  if (name in CURSOR_KEYS) {
+    const letter = CURSOR_KEYS[name];
+    if (modParam > 1) return `\x1b[1;${modParam}${letter}`;
+    // The dumb (vt100-style) keypad has no Home/End cursor keys; use the editing keys instead
+    if (!xterm && name === "home") return "\x1b[1~";
+    if (!xterm && name === "end") return "\x1b[4~";
+    return applicationCursor ? `\x1bO${letter}` : `\x1b[${letter}`;
+  }
+  if (name in TILDE_KEYS) {
+    return modParam > 1 ? `\x1b[${TILDE_KEYS[name]};${modParam}~` : `\x1b[${TILDE_KEYS[name]}~`;
+  }
+  if (name in SS3_KEYS) {
+    return modParam > 1 ? `\x1b[1;${modParam}${SS3_KEYS[name]}` : `\x1bO${SS3_KEYS[name]}`;
+  }
+  if (name === "tab" || name === "s-tab") {
+    return mods.has("S") ? "\x1b[Z" : "\t";
+  }
+
+  let seq;
+  if (name in PLAIN_KEYS) {
+    seq = PLAIN_KEYS[name];
+    if (mods.has("C") && name === "space") seq = "\x00";
+  } else if (rawName.length === 1 && prefix) {
+    seq = rawName;
+    if (mods.has("C")) {
+      // Ctrl maps @, A-Z, [, \, ], ^, _ to 0x00-0x1f and ? to DEL
+      const upper = rawName.toUpperCase();
+      if (upper === "?") seq = "\x7f";
+      else if (upper >= "@" && upper <= "_") seq = String.fromCharCode(upper.charCodeAt(0) & 0x1f);
+      else return null;
+    }
+  } else {
+    return null;
+  }
+
+  // Meta/Alt is sent as an ESC prefix
+  return mods.has("M") ? `\x1b${seq}` : seq;
+}
+
+// Helper function to translate a sendKeys key list (names, chords, literal text or { text }) for a session
+function translateKeys(session, keys) {
+  const options = { term: session.term, applicationCursor: session.screen.modes.applicationCursorKeysMode };
+  return (Array.isArray(keys) ? keys : [keys]).map((key) =>
+    typeof key === "string" ? translateKey(key, options) ?? key : key.text
+  );
+}
+
+// Helper function to write sequences to a session's PTY with an optional delay between them
+async function writeSequences(session, sequences, delayMs = 0) {
+  for (const [i, seq] of sequences.entries()) {
+    if (i > 0 && delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    session.pty.write(seq);
+  }
+}
+
+// Helper function to reassemble output chunks into complete lines, keeping the unterminated rest as partialLine
+function appendLines(session, data, maxLines = 10000) {
+  const parts = (session.partialLine + data).split(/\r?\n/);
+  session.partialLine = parts.pop();
+  session.lines.push(...parts);
+  if (session.lines.length > maxLines) {
+    const excess = session.lines.length - maxLines;
+    session.lines.splice(0, excess); // Remove oldest
+    session.droppedLines += excess;
+  }
+}
+
+// Helper function to get a session's buffered lines numbered from 1, including a trailing partial line
+function getNumberedLines(session) {
+  const numbered = session.lines.map((text, i) => ({ line: session.droppedLines + i + 1, text }));
+  if (session.partialLine) {
+    numbered.push({ line: session.droppedLines + session.lines.length + 1, text: session.partialLine, partial: true });
+  }
+  return numbered;
+}
+
+// Helper function to count all lines a session has produced, including evicted and partial ones
+function countLines(session) {
+  return session.droppedLines + session.lines.length + (session.partialLine ? 1 : 0);
+}
+
+// Helper function to get numbered lines for a range, reading evicted lines back from the session log when needed
+async function getLinesForRange(session, { fromLine = 1, toLine = Infinity, tail }) {
+  const numbered = getNumberedLines(session);
+  if (!session.logPath || fromLine > session.droppedLines) return numbered;
+  if (tail !== undefined && numbered.filter((l) => l.line >= fromLine && l.line <= toLine).length >= tail) return numbered;
+  return readLogLines(session, { fromLine, toLine });
+}
+
+// Helper function to select a line range (fromLine/toLine, then head/tail) bounded by maxChars
+function selectLines(numbered, { fromLine = 1, toLine = Infinity, head, tail, maxChars }) {
+  let selected = numbered.filter((l) => l.line >= fromLine && l.line <= toLine);
+  if (head !== undefined) selected = selected.slice(0, head);
+  if (tail !== undefined) selected = tail > 0 ? selected.slice(-tail) : [];
+
+  let omittedLines = 0;
+  if (maxChars !== undefined) {
+    // Keep the lines closest to the requested end: the newest ones for tail, the oldest otherwise
+    const ordered = tail !== undefined ? [...selected].reverse() : selected;
+    const kept = [];
+    let chars = 0;
+    for (const l of ordered) {
+      chars += l.text.length + 1;
+      if (chars > maxChars) break;
+      kept.push(l);
+    }
+    omittedLines = selected.length - kept.length;
+    selected = tail !== undefined ? kept.reverse() : kept;
+  }
+
+  return { lines: selected, omittedLines };
+}
+
+// Helper function to merge adjacent output entries of the same stream and encoding, so output written in many
+// small chunks does not repeat the per-entry JSON fields for every chunk. A merged entry keeps the first timestamp
+function mergeOutputEntries(entries) {
+  const merged = [];
+  for (const entry of entries) {
+    const last = merged[merged.length - 1];
+    const isOutput = entry.type === "stdout" || entry.type === "stderr";
+    if (!last || !isOutput || last.type !== entry.type || last.encoding !== entry.encoding) {
+      merged.push(entry);
+    } else if (entry.encoding === "base64") {
+      const data = Buffer.concat([Buffer.from(last.data, "base64"), Buffer.from(entry.data, "base64")]).toString("base64");
+      merged[merged.length - 1] = { ...last, data };
+    } else {
+      merged[merged.length - 1] = { ...last, data: last.data + entry.data };
+    }
+  }
+  return merged;
+}
+
+// Helper function to bound a startProcessAndWait result: keep headLines/tailLines, then fit maxChars with a
+// short head and a long tail (errors are usually at the end). Cut entries keep their type; a "truncated"
+// entry marks the omitted middle
+function truncateOutput(entries, { headLines, tailLines, maxChars }) {
+  const texts = entries.map(entryText);
+  const text = texts.filter((t) => t !== null).join("");
+  const total = text.length;
+  const totalBytes = entries.reduce((sum, entry) => {
+    if (entryText(entry) === null) return sum;
+    return sum + (entry.encoding === "base64" ? Buffer.from(entry.data, "base64").length : Buffer.byteLength(entry.data));
+  }, 0);
+
+  // Positions right after the nth line, and at the start of the last n lines
+  const afterLines = (n) => {
+    let pos = 0;
+    for (let i = 0; i < n; i++) {
+      const next = text.indexOf("\n", pos);
+      if (next === -1) return total;
+      pos = next + 1;
+    }
+    return pos;
+  };
+  const lastLines = (n) => {
+    let pos = text.endsWith("\n") ? total - 1 : total;
+    for (let i = 0; i < n; i++) {
+      const prev = text.lastIndexOf("\n", pos - 1);
+      if (prev === -1) return 0;
+      pos = prev;
+    }
+    return n > 0 ? pos + 1 : total;
+  };
+
+  // Kept ranges are [0, head) and [tail, total)
+  let head = total;
+  let tail = total;
+  if (headLines !== undefined || tailLines !== undefined) {
+    head = headLines !== undefined ? afterLines(headLines) : 0;
+    tail = tailLines !== undefined ? lastLines(tailLines) : total;
+    if (head >= tail) head = tail = total;
+  }
+
+  if (maxChars !== undefined && head + (total - tail) > maxChars) {
+    // Without line options the whole output is split into head and tail
+    if (head === total && tail === total) tail = 0;
+    const tailChars = total - tail;
+    const headBudget = Math.min(head, tailChars > 0 ? Math.floor(maxChars * 0.2) : maxChars);
+    const tailBudget = Math.min(tailChars, maxChars - headBudget);
+    if (head > headBudget) {
+      const lineEnd = text.lastIndexOf("\n", headBudget - 1);
+      head = lineEnd >= 0 ? lineEnd + 1 : headBudget;
+    }
+    const tailStart = total - tailBudget;
+    if (tail < tailStart) {
+      const lineStart = text[tailStart - 1] === "\n" ? tailStart : text.indexOf("\n", tailStart) + 1;
+      tail = lineStart > 0 && lineStart < total ? lineStart : tailStart;
+    }
+    if (head > tail) head = tail;
+  }
+
+  if (head === tail && tail === total) {
+    return { entries, truncated: false, totalBytes, totalChars: total };
+  }
+
+  const omittedChars = tail - head;
+  const omittedLines = (text.slice(head, tail).match(/\n/g) || []).length;
+  const kept = [];
+  let offset = 0;
+  let marked = false;
+  const mark = () => {
+    if (!marked) kept.push({ type: "truncated", omittedLines, omittedChars });
+    marked = true;
+  };
+  // Keep an entry whole, or the [from, to) part of its text
+  const keep = (entry, t, start, from, to) => {
+    if (from === start && to === start + t.length) {
+      kept.push(entry);
+    } else {
+      const { encoding, ...rest } = entry;
+      kept.push({ ...rest, data: t.slice(from - start, to - start) });
+    }
+  };
+
+  entries.forEach((entry, i) => {
+    const t = texts[i];
+    const start = offset;
+    if (t === null) {
+      // Events (exit, resize) are always kept
+      if (start > head) mark();
+      kept.push(entry);
+      return;
+    }
+    const end = start + t.length;
+    offset = end;
+    if (start < head) keep(entry, t, start, start, Math.min(end, head));
+    if (end > tail) {
+      mark();
+      keep(entry, t, start, Math.max(start, tail), end);
+    }
+  });
+  mark();
+
+  return { entries: kept, truncated: true, totalBytes, totalChars: total, omittedLines, omittedChars };
+}
+
+// ANSI escape sequences: CSI, OSC (BEL or ST terminated), DCS/PM/APC strings, charset selection and other ESC codes
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[P^_][^\x1b]*\x1b\\|\x1b[()][0-9A-Za-z]|\x1b[@-Z\\-_]/g;
+
+// Helper function to turn raw terminal output into plain text: strip ANSI escapes and collapse carriage-return
+// redraws (progress bars, spinners) to what the line finally shows
+function cleanOutputText(text) {
+  return text
+    .replace(/\r+\n/g, "\n")
+    .split("\n")
+    .map((line) => {
+      let shown = "";
+      for (const segment of line.split("\r")) {
+        // An erase-line sequence clears what was drawn before
+        if (/\x1b\[[02]?K/.test(segment)) shown = "";
+        const plain = segment.replace(ANSI_PATTERN, "");
+        shown = plain + shown.slice(plain.length);
+      }
+      return shown.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, "");
+    })
+    .join("\n");
+}
+
+// Helper function to join output entries into plain text, marking an omitted middle
+function entriesToText(entries) {
+  return cleanOutputText(entries.map((entry) => {
+    if (entry.type === "truncated") return `\n[... ${entry.omittedLines} lines omitted ...]\n`;
+    return entryText(entry) ?? "";
+  }).join(""));
+}
+
+// Helper function to build a tool result in the requested format: "chunks" returns the structured output as JSON text,
+// "text" and "lines" a short [key=value] header followed by plain text
+function formatOutputResult(output, { format = "chunks", header = {}, text = "" } = {}) {
+  if (format === "chunks") {
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+
+  const headerLine = `[${Object.entries(header)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(" ")}]`;
+  return {
+    content: [{ type: "text", text: text ? `${headerLine}\n${text}` : headerLine }],
+    structuredContent: output
+  };
+}
+
+// Helper function to write the complete output of a run to a temp file, returning its path
+function saveFullOutput(sessionId, entries) {
+  const dir = path.join(os.tmpdir(), "bg-server-mcp-shell");
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${sessionId}.out`);
+  const chunks = entries
+    .filter((entry) => entryText(entry) !== null)
+    .map((entry) => Buffer.from(entry.data, entry.encoding === "base64" ? "base64" : "utf8"));
+  fs.writeFileSync(filePath, Buffer.concat(chunks));
+  return filePath;
+}
+
+// Helper function to get the last non-empty lines of a session's output
+function getOutputTail(session, lineCount = 20) {
+  return getNumberedLines(session)
+    .map((l) => l.text)
+    .filter((line) => line.length > 0)
+    .slice(-lineCount);
+}
+
+// Helper function to summarize a session for listSessions and session://{id}/info
+function describeSession(sessionId, s) {
+  return {
+    sessionId,
+    pid: s.pid,
+    cmd: s.cmd,
+    args: s.args,
+    commandLine: s.commandLine,
+    mode: s.mode,
+    cwd: s.cwd,
+    isRunning: s.isRunning,
+    exitCode: s.exitCode,
+    startedAt: s.startedAt,
+    outputLines: countLines(s),
+    outputChunks: s.lastSeq,
+    logPath: s.logPath ?? undefined,
+    logBytes: s.logPath ? s.logBytes : undefined,
+    shell: s.shell?.type ?? s.shellPath ?? undefined,
+    envKeys: s.envKeys,
+    redactions: s.redactor.count
+  };
+}
+
+// Helper function to check whether a TCP port accepts connections
+// Without a host both loopback addresses are tried: dev servers bound to "localhost" often listen on ::1 only
+async function checkTcpPort(port, host) {
+  if (host === undefined) {
+    const results = await Promise.all(["127.0.0.1", "::1"].map((address) => checkTcpPort(port, address)));
+    return results.includes(true);
+  }
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const done = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(1000, () => done(false));
+    socket.once("connect", () => done(true));
+    socket.once("error", () => done(false));
+  });
+}
+
+// Helper function to check whether an HTTP URL answers without a server error
+async function checkHttpUrl(url) {
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(2000) });
+    return res.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+// Helper function to wait until all configured readiness probes (pattern, port, httpUrl) pass
+async function waitForReadiness(session, { pattern, port, host, httpUrl, timeoutMs = 30000, intervalMs = 250 }) {
+  const startedAt = Date.now();
+  const remaining = () => Math.max(0, timeoutMs - (Date.now() - startedAt));
+
+  if (pattern !== undefined) {
+    const result = await waitForSessionOutput(session, { patterns: compilePatterns(pattern), timeoutMs: remaining() });
+    if (!result.matched) {
+      const error = result.status === "exited" ? "Process exited before ready" : `Pattern not seen within ${timeoutMs}ms`;
+      return { ready: false, error };
+    }
+  }
+
+  // Poll port and URL probes until they pass, the process exits or time runs out
+  const probes = [];
+  if (port !== undefined) probes.push({ name: `port ${port}`, check: () => checkTcpPort(port, host) });
+  if (httpUrl !== undefined) probes.push({ name: httpUrl, check: () => checkHttpUrl(httpUrl) });
+
+  for (const probe of probes) {
+    while (!(await probe.check())) {
+      if (!session.isRunning) return { ready: false, error: "Process exited before ready" };
+      if (remaining() === 0) return { ready: false, error: `${probe.name} not ready within ${timeoutMs}ms` };
+      await new Promise((resolve) => setTimeout(resolve, Math.min(intervalMs, remaining())));
+    }
+  }
+
+  return { ready: true, readyAfterMs: Date.now() - startedAt };
+}
+
+// Helper function to spawn a PTY process and register it as a background session
+function startBackgroundSession({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false, shell = false, mode = "pty", logToFile, logDir, ...spawnOptions }) {
+  const spawned = spawnPtyProcess({ cmd, args, cwd, env, cols, rows, shellOnWindows, shell, mode, ...spawnOptions });
+  return registerSession(randomUUID(), spawned, { cwd, cols, rows, mode, logToFile, logDir });
+}
+
+// Helper function to register a spawned process as a session: buffering, log file, screen, lines and resources.
+// earlierOutput replays output that was collected before registration (a detached startProcessAndWait)
+function registerSession(sessionId, { pty: p, exe, argv, termType, commandLine, shell: shellPath, envKeys, redactor }, { cwd, cols, rows, mode = "pty", logToFile, logDir, startedAt = new Date().toISOString(), earlierOutput = [] }) {
+  // SESSION_LOG_DIR env: spill output of every session to disk unless logToFile is false
+  let logPath = null;
+  if (logToFile ?? (Boolean(logDir) || Boolean(process.env.SESSION_LOG_DIR))) {
+    const dir = logDir || process.env.SESSION_LOG_DIR || path.join(os.tmpdir(), "bg-server-mcp-shell");
+    try {
+      logPath = createSessionLog(dir, sessionId);
+    } catch (e) {
+      log("error", `Failed to create session log in ${dir}: ${e.message}`, { sessionId });
+    }
+  }
+  
+  sessions.set(sessionId, {
+    pid: p.pid,
+    pty: p,
+    cwd,
+    cmd: exe,
+    args: argv,
+    commandLine,
+    shellPath,
+    envKeys,
+    redactor,
+    mode,
+    cols,
+    rows,
+    term: termType,
+    startedAt,
+    output: [],
+    // Keep a smaller window in memory when older output can be read back from disk
+    maxBufferSize: logPath ? 1000 : 10000,
+    lastSeq: 0,
+    droppedCount: 0,
+    logPath,
+    logStream: logPath ? openSessionLog(logPath, sessionId) : null,
+    logBytes: 0,
+    exitCode: null,
+    exitSignal: null,
+    isRunning: true,
+    events: new EventEmitter(),
+    screen: createScreen(cols, rows, { convertEol: mode === "pipe" }),
+    lines: [],
+    partialLine: "",
+    droppedLines: 0
+  });
+
+  const registered = sessions.get(sessionId);
+  for (const entry of earlierOutput) {
+    pushOutput(registered, entry);
+    const text = entryText(entry);
+    if (text !== null) {
+      appendLines(registered, text);
+      registered.screen.write(text);
+    }
+  }
+
+  watchSessionResources(sessionId, registered);
+  server.sendResourceListChanged();
+
+  // PTY output is always stdout; pipe mode tags the stream and may carry base64 data.
+  // Output arrives through the redactor, so secrets are masked before it is logged, buffered, written to disk or rendered
+  redactor.onData((data, { stream, encoding, text }) => {
+    log("trace", "Output", { sessionId, stream, output: text });
+    const session = sessions.get(sessionId);
+    if (session) {
+      // Buffer output for reading
+      pushOutput(session, { type: stream, data, ...(encoding && { encoding }), timestamp: new Date().toISOString() });
+      appendLines(session, text);
+      session.screen.write(text);
+      session.events.emit("output");
+    }
+  });
+
+  p.onExit(({ exitCode, signal: signalNumber }) => {
+    const signal = signalName(signalNumber);
+    const session = sessions.get(sessionId);
+    if (session) {
+      session.isRunning = false;
+      session.exitCode = exitCode;
+      session.exitSignal = signal;
+      pushOutput(session, { 
+        type: 'exit', 
+        exitCode, 
+        signal, 
+        timestamp: new Date().toISOString() 
+      });
+      closeSessionLog(session);
+      session.events.emit("exit");
+    }
+    log("info", "Process exited", { sessionId, exitCode, signal });
+  });
+
+  return { sessionId, session: sessions.get(sessionId) };
+}
+
+// Environment and redaction options accepted by the tools that start processes
+const spawnOptionsSchema = {
+  envFile: z.union([z.string(), z.array(z.string())]).optional().describe("dotenv file(s) loaded before env, relative to cwd"),
+  unsetEnv: z.array(z.string()).optional().describe("Variables removed from the final environment"),
+  inheritEnv: z.boolean().optional().describe("false starts from an empty environment that only keeps PATH, HOME, USER, SHELL, LANG, TMPDIR and the allowEnv names from the server. Default true"),
+  allowEnv: z.array(z.string()).optional().describe("Server variables still inherited with inheritEnv: false"),
+  envProfile: z.string().optional().describe("Named environment profile from the server's ENV_PROFILES config, applied before envFile and env"),
+  redactEnv: z.array(z.string()).optional().describe("Variables whose values are masked as [REDACTED] in the output, in addition to the server's REDACT_ENV"),
+  redactPatterns: z.array(z.string()).optional().describe("Regular expressions masked in the output, in addition to the built-in token formats (GitHub, GitLab, npm, Slack, AWS, sk- keys, JWTs, bearer tokens)"),
+  redactBuiltins: z.boolean().optional().describe("false masks only redactEnv, REDACT_ENV and redactPatterns, not the built-in token formats. Default true unless the server sets REDACT_BUILTINS=false")
+};
+
+// Tool: Run command and wait for completion
+registerTool(
+  "startProcessAndWait",
+  {
+    title: "Start Process And Wait",
+    description: "Run a command and wait for it to complete, returning the full output. Use for quick commands (npm --version, ls, git status). For long-running processes use startProcessBackground instead.",
+    inputSchema: {
+      cmd: z.string(),
+      args: z.array(z.string()).optional(),
+      cwd: z.string().optional(),
+      env: z.record(z.string()).optional(),
+      ...spawnOptionsSchema,
+      cols: z.number().optional(),
+      rows: z.number().optional(),
+      shellOnWindows: z.boolean().optional(),
+      shell: z.union([z.boolean(), z.enum(["bash", "sh", "zsh"])]).optional().describe("Run cmd as a full command line (pipes, globs, &&, redirects) through this shell; true uses $SHELL. args are quoted and appended"),
+      mode: z.enum(["pty", "pipe"]).optional().describe("\"pty\" (default) runs in a terminal with merged output; \"pipe\" uses plain pipes, tags entries as stdout or stderr, and returns non-UTF-8 chunks as base64 (encoding: \"base64\")"),
+      stdin: z.string().optional().describe("Input written to the process, followed by EOF. In PTY mode input is echoed and passes the terminal line discipline; use mode \"pipe\" for large or binary input"),
+      stdinEncoding: z.enum(["utf8", "base64"]).optional().describe("Encoding of stdin. Use base64 for binary input. Default utf8"),
+      stdinFile: z.string().optional().describe("File whose contents are written to the process, followed by EOF. Relative to cwd"),
+      timeoutMs: z.number().optional().describe("Timeout in milliseconds. Default 30000 (30s)"),
+      expectedExitCodes: z.array(z.number()).optional().describe("Exit codes that count as success. Default [0]"),
+      onTimeout: z.enum(["kill", "detach"]).optional().describe("On timeout \"kill\" (default) stops the process; \"detach\" keeps it running as a background session under the returned sessionId, to follow with getSessionOutput or waitForOutput"),
+      maxOutputChars: z.number().optional().describe("Character budget for the returned output; the middle is omitted when exceeded. Default 20000"),
+      headLines: z.number().optional().describe("Return only the first N lines (combined with tailLines, the middle is omitted)"),
+      tailLines: z.number().optional().describe("Return only the last N lines"),
+      fullOutputFile: z.boolean().optional().describe("Also write the complete output to a temp file and return its path as fullOutputPath"),
+      format: z.enum(["chunks", "text", "lines"]).optional().describe("\"chunks\" (default): JSON array of output chunks. \"text\"/\"lines\": plain text without ANSI escapes and progress redraws after a short status header"),
+      progressIntervalMs: z.number().optional().describe("Interval for progress notifications when the request has a progress token. Default 1000"),
+      logOutput: z.boolean().optional().describe("Also mirror output as MCP log messages (notifications/message). Default false")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sessionId: z.string().optional(),
+      pid: z.number().optional(),
+      output: z.array(z.any()).optional(),
+      text: z.string().optional(),
+      lines: z.array(z.string()).optional(),
+      truncated: z.boolean().optional(),
+      totalBytes: z.number().optional(),
+      omittedLines: z.number().optional(),
+      omittedChars: z.number().optional(),
+      fullOutputPath: z.string().optional(),
+      redactions: z.number().optional().describe("Number of secrets masked as [REDACTED] in the output"),
+      detached: z.boolean().optional(),
+      success: z.boolean().optional(),
+      errorCode: z.enum(["ENOENT_COMMAND", "ENOENT_CWD", "EACCES", "SPAWN_FAILED", "INVALID_ENV", "TIMEOUT", "SIGNALED"]).optional(),
+      exitCode: z.number().nullable().optional(),
+      exitSignal: z.string().nullable().optional().describe("Name of the signal that terminated the process, e.g. SIGSEGV"),
+      error: z.string().optional()
+    }
+  },
+  async ({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false, shell = false, mode = "pty", stdin, stdinEncoding = "utf8", stdinFile, timeoutMs = 30000, expectedExitCodes = [0], onTimeout = "kill", maxOutputChars = 20000, headLines, tailLines, fullOutputFile = false, format = "chunks", progressIntervalMs = 1000, logOutput = false, ...spawnOptions }, extra) => {
+    // Read input before spawning so a missing file fails without starting the command
+    let input = null;
+    try {
+      if (stdin !== undefined && stdinFile !== undefined) throw new Error("Use either stdin or stdinFile");
+      if (stdin !== undefined) input = Buffer.from(stdin, stdinEncoding);
+      if (stdinFile !== undefined) input = fs.readFileSync(path.resolve(cwd, stdinFile));
+    } catch (e) {
+      const output = { ok: false, error: `Invalid stdin: ${e.message}` };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    let spawned;
+    try {
+      spawned = spawnPtyProcess({ cmd, args, cwd, env, cols, rows, shellOnWindows, shell, mode, ...spawnOptions });
+    } catch (e) {
+      const output = { ok: false, success: false, error: e.message, errorCode: e.code };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    const { pty: p, redactor } = spawned;
+    
+    const sessionId = randomUUID();
+    const outputBuffer = [];
+    const startedAt = Date.now();
+    // Last few lines for progress messages
+    const recentLines = { lines: [], partialLine: "", droppedLines: 0 };
+    
+    return new Promise((resolve) => {
+      let timeoutHandle;
+      let progressHandle;
+      // Set once a timed out process was handed over to a background session
+      let detached = false;
+      
+      const cleanup = () => {
+        if (timeoutHandle) clearTimeout(timeoutHandle);
+        if (progressHandle) clearInterval(progressHandle);
+      };
+
+      // Bounded output fields for the result; the full output optionally goes to a temp file
+      const boundedOutput = () => {
+        const { entries, totalChars, ...stats } = truncateOutput(outputBuffer, { headLines, tailLines, maxChars: maxOutputChars });
+        const fields = { output: mergeOutputEntries(entries), ...stats, redactions: redactor.count };
+        if (fullOutputFile) {
+          try {
+            fields.fullOutputPath = saveFullOutput(sessionId, outputBuffer);
+          } catch (e) {
+            log("error", `Failed to write full output: ${e.message}`, { sessionId });
+          }
+        }
+        return fields;
+      };
+
+      // Result in the requested format; text and lines replace the chunk array
+      const result = (output, status) => {
+        if (format === "chunks") return formatOutputResult(output);
+        const { output: entries, ...rest } = output;
+        const text = entriesToText(entries);
+        const structured = format === "text"
+          ? { ...rest, text }
+          : { ...rest, lines: text ? text.replace(/\n$/, "").split("\n") : [] };
+        const header = { status, exitCode: rest.exitCode, exitSignal: rest.exitSignal, success: rest.success, errorCode: rest.errorCode, omittedLines: rest.omittedLines };
+        return formatOutputResult(structured, { format, header, text });
+      };
+
+      // Send throttled progress with elapsed time and the latest lines while the caller waits
+      const progressToken = extra?._meta?.progressToken;
+      if (progressToken !== undefined) {
+        progressHandle = setInterval(() => {
+          const elapsedMs = Date.now() - startedAt;
+          const message = [`${(elapsedMs / 1000).toFixed(1)}s elapsed`, ...getOutputTail(recentLines, 5)].join("\n");
+          extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress: elapsedMs, total: timeoutMs, message }
+          }).catch(() => {});
+        }, progressIntervalMs);
+      }
+
+      redactor.onData((data, { stream, encoding, text }) => {
+        if (detached) return;
+        outputBuffer.push({ type: stream, data, ...(encoding && { encoding }), timestamp: new Date().toISOString() });
+        appendLines(recentLines, text, 5);
+        log("trace", "Output", { sessionId, stream, output: text });
+        if (logOutput && clientAcceptsLevel("info")) {
+          server.server.sendLoggingMessage({ level: "info", logger: "bg-server-mcp-shell", data: { sessionId, stream, output: text } }).catch(() => {});
+        }
+      });
+
+      p.onExit(({ exitCode, signal: signalNumber }) => {
+        if (detached) return;
+        cleanup();
+        const signal = signalName(signalNumber);
+        outputBuffer.push({ 
+          type: 'exit', 
+          exitCode, 
+          signal, 
+          timestamp: new Date().toISOString() 
+        });
+        log("info", "Process exited", { sessionId, exitCode, signal });
+        
+        const output = {
+          ok: true,
+          sessionId,
+          pid: p.pid,
+          ...boundedOutput(),
+          exitCode,
+          exitSignal: signal,
+          // A signal always means failure, even when the reported exit code is expected
+          success: !signal && expectedExitCodes.includes(exitCode)
+        };
+        if (signal) {
+          output.errorCode = "SIGNALED";
+          output.error = `Process terminated by ${signal}`;
+        }
+        
+        resolve(result(output, "exited"));
+      });
+
+      if (input) writeStdin(p, input);
+
+      // Timeout handler
+      timeoutHandle = setTimeout(() => {
+        cleanup();
+
+        if (onTimeout === "detach") {
+          log("warn", `Timeout after ${timeoutMs}ms, detaching into a background session`, { sessionId });
+          detached = true;
+          registerSession(sessionId, spawned, {
+            cwd,
+            cols,
+            rows,
+            mode,
+            startedAt: new Date(startedAt).toISOString(),
+            earlierOutput: outputBuffer
+          });
+
+          const output = {
+            ok: true,
+            sessionId,
+            pid: p.pid,
+            ...boundedOutput(),
+            detached: true
+          };
+
+          resolve(result(output, "detached"));
+          return;
+        }
+
+        log("warn", `Timeout after ${timeoutMs}ms, killing process`, { sessionId });
+        try { p.kill(); } catch {}
+        redactor.flush();
+        
+        const output = {
+          ok: false,
+          sessionId,
+          pid: p.pid,
+          ...boundedOutput(),
+          success: false,
+          error: `Process timeout after ${timeoutMs}ms`,
+          errorCode: "TIMEOUT"
+        };
+        
+        resolve(result(output, "timeout"));
+      }, timeoutMs);
+    });
+  }
+);
+
+// Tool: Start background process
+registerTool(
+  "startProcessBackground",
+  {
+    title: "Start Background Process",
+    description: "Start a long-running process in a PTY (servers, watch modes, daemons). Returns immediately with sessionId, or once the readiness probes pass when readiness is given. Use getSessionOutput to read output. For quick commands use startProcessAndWait instead.",
+    inputSchema: {
+      cmd: z.string(),
+      args: z.array(z.string()).optional(),
+      cwd: z.string().optional(),
+      env: z.record(z.string()).optional(),
+      ...spawnOptionsSchema,
+      cols: z.number().optional(),
+      rows: z.number().optional(),
+      shellOnWindows: z.boolean().optional(),
+      shell: z.union([z.boolean(), z.enum(["bash", "sh", "zsh"])]).optional().describe("Run cmd as a full command line (pipes, globs, &&, redirects) through this shell; true uses $SHELL. args are quoted and appended"),
+      mode: z.enum(["pty", "pipe"]).optional().describe("\"pty\" (default) runs in a terminal with merged output; \"pipe\" uses plain pipes, tags entries as stdout or stderr, and returns non-UTF-8 chunks as base64 (encoding: \"base64\")"),
+      logToFile: z.boolean().optional().describe("Append all output to a log file on disk. Default true when the server has SESSION_LOG_DIR set"),
+      logDir: z.string().optional().describe("Directory for the log file. Defaults to SESSION_LOG_DIR or the system temp directory"),
+      readiness: z.object({
+        pattern: z.union([z.string(), z.array(z.string())]).optional().describe("Regex (or list of regexes) the output must match"),
+        port: z.number().optional().describe("TCP port that must accept connections"),
+        host: z.string().optional().describe("Host for the port probe. Default: both 127.0.0.1 and ::1, so servers bound to localhost on IPv4 or IPv6 are found"),
+        httpUrl: z.string().optional().describe("URL that must answer with a non-5xx status"),
+        timeoutMs: z.number().optional().describe("Timeout in milliseconds. Default 30000 (30s)"),
+        intervalMs: z.number().optional().describe("Polling interval for port/httpUrl. Default 250")
+      }).optional().describe("Wait until the process is ready before returning")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sessionId: z.string().optional(),
+      pid: z.number().optional(),
+      ready: z.boolean().optional(),
+      readyAfterMs: z.number().optional(),
+      outputTail: z.array(z.string()).optional(),
+      error: z.string().optional(),
+      errorCode: z.enum(["ENOENT_COMMAND", "ENOENT_CWD", "EACCES", "SPAWN_FAILED", "INVALID_ENV"]).optional(),
+    }
+  },
+  async ({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false, shell = false, mode = "pty", logToFile, logDir, readiness, ...spawnOptions }) => {
+    let started;
+    try {
+      started = startBackgroundSession({ cmd, args, cwd, env, cols, rows, shellOnWindows, shell, mode, logToFile, logDir, ...spawnOptions });
+    } catch (e) {
+      const output = { ok: false, error: e.message, errorCode: e.code };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    const { sessionId, session } = started;
+
+    const output = {
+      ok: true,
+      sessionId,
+      pid: session.pid
+    };
+
+    if (readiness) {
+      let result;
+      try {
+        result = await waitForReadiness(session, readiness);
+      } catch (e) {
+        result = { ready: false, error: `Invalid readiness probe: ${e.message}` };
+      }
+      output.ready = result.ready;
+      if (result.ready) {
+        output.readyAfterMs = result.readyAfterMs;
+      } else {
+        // Leave the session running so the caller can inspect or stop it
+        output.error = result.error;
+        output.outputTail = getOutputTail(session);
+      }
+    }
+
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+);
+
+// Tool: Write input to PTY session
+registerTool(
+  "writeInput",
+  {
+    title: "Write Input",
+    description: "Write input to a running PTY session",
+    inputSchema: {
+      sessionId: z.string(),
+      data: z.string(),
+      eof: z.boolean().optional().describe("Signal end of input after writing: closes stdin in pipe mode, sends Ctrl-D in a PTY")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, data, eof = false }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    s.pty.write(data);
+    if (eof) writeEof(s.pty);
+    const output = { ok: true };
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+);
+
+// Tool: Write input and wait for the response
+registerTool(
+  "writeInputAndWait",
+  {
+    title: "Write Input And Wait",
+    description: "Write input to a running PTY session and wait for the response in one call: until the output matches a pattern (e.g. a REPL prompt), no new output arrives for quietMs, the process exits or the timeout elapses. Returns only the output produced after the write. Useful for REPLs such as node, python or psql. Without pattern, quietMs defaults to 500.",
+    inputSchema: {
+      sessionId: z.string(),
+      data: z.string().describe("Input to write, e.g. \"1 + 1\\r\""),
+      pattern: z.union([z.string(), z.array(z.string())]).optional().describe("Regex (or list of regexes) marking the end of the response, e.g. \"^> $\" with flags \"m\""),
+      flags: z.string().optional().describe("RegExp flags, e.g. \"m\" or \"i\""),
+      quietMs: z.number().optional().describe("Return once no new output arrived for this many milliseconds"),
+      timeoutMs: z.number().optional().describe("Maximum time to wait in milliseconds. Default 10000"),
+      stripEcho: z.boolean().optional().describe("Remove the terminal echo of the input from the response. Default true")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      matched: z.boolean().optional(),
+      status: z.enum(["matched", "quiet", "exited", "timeout"]).optional(),
+      match: z.string().optional(),
+      output: z.string().optional(),
+      nextSeq: z.number().optional(),
+      isRunning: z.boolean().optional(),
+      exitCode: z.number().nullable().optional(),
+      elapsedMs: z.number().optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, data, pattern, flags = "", quietMs, timeoutMs = 10000, stripEcho = true }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    if (!s.isRunning) {
+      const output = { ok: false, error: "Process is not running" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    let patterns;
+    try {
+      patterns = compilePatterns(pattern, flags);
+    } catch (e) {
+      const output = { ok: false, error: `Invalid pattern: ${e.message}` };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    // Record the output position before writing so only the response is returned
+    const afterSeq = s.lastSeq;
+    // The terminal echoes line endings as \r\n
+    const echo = stripEcho ? data.replace(/\r\n|\r|\n/g, "\r\n") : "";
+    s.pty.write(data);
+
+    const result = await waitForInputResponse(s, {
+      afterSeq,
+      echo,
+      patterns,
+      quietMs: quietMs ?? (patterns.length === 0 ? 500 : undefined),
+      timeoutMs
+    });
+
+    const output = { ok: true, ...result };
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+);
+
+// Key list accepted by sendKeys and runInteraction: a key name/chord/text or a list of them
+const keysSchema = z.union([
+  z.string(),
+  z.array(z.union([z.string(), z.object({ text: z.string() })]))
+]);
+
+// Tool: Send named keys to PTY session
+registerTool(
+  "sendKeys",
+  {
+    title: "Send Keys",
+    description: "Send keys to a running PTY session using names instead of raw escape sequences. Accepts named keys (Enter, Tab, Escape, Backspace, Space, Up, Down, Left, Right, Home, End, PageUp, PageDown, Insert, Delete, F1-F12), chords with C- (Ctrl), M- (Alt/Meta) and S- (Shift) prefixes (e.g. \"C-c\", \"M-x\", \"S-Tab\", \"C-Left\"), and literal text. Example: [\"Down\", \"Down\", \"Enter\"]. Use {\"text\": \"...\"} to send a string that looks like a key name literally.",
+    inputSchema: {
+      sessionId: z.string(),
+      keys: keysSchema,
+      delayMs: z.number().optional().describe("Delay between keys in milliseconds. Default 0")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sent: z.number().optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, keys, delayMs = 0 }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    if (!s.isRunning) {
+      const output = { ok: false, error: "Session is not running" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    const sequences = translateKeys(s, keys);
+    await writeSequences(s, sequences, delayMs);
+
+    const output = { ok: true, sent: sequences.length };
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+);
+
+// Tool: Get session output
+registerTool(
+  "getSessionOutput",
+  {
+    title: "Get Session Output",
+    description: "Get the buffered output from a running or completed PTY session. By default returns raw output chunks; pass tail, head, fromLine/toLine or maxChars to get numbered lines instead (e.g. tail: 50 for the last 50 lines).",
+    inputSchema: {
+      sessionId: z.string(),
+      fromIndex: z.number().optional(),
+      afterSeq: z.number().optional().describe("Return only entries with seq greater than this (use nextSeq from the previous call). Stable across buffer trimming, unlike fromIndex"),
+      tail: z.number().optional().describe("Return only the last N lines"),
+      head: z.number().optional().describe("Return only the first N lines"),
+      fromLine: z.number().optional().describe("First line number to return (1-based, inclusive)"),
+      toLine: z.number().optional().describe("Last line number to return (1-based, inclusive)"),
+      maxChars: z.number().optional().describe("Maximum characters of line text to return"),
+      format: z.enum(["chunks", "text", "lines"]).optional().describe("\"chunks\" (default): JSON output chunks or numbered lines. \"text\": plain text without ANSI escapes and progress redraws after a short status header. \"lines\": like text, returned as numbered lines")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sessionId: z.string().optional(),
+      isRunning: z.boolean().optional(),
+      exitCode: z.number().nullable().optional(),
+      exitSignal: z.string().nullable().optional().describe("Name of the signal that terminated the process, e.g. SIGSEGV"),
+      output: z.array(z.any()).optional(),
+      text: z.string().optional(),
+      lines: z.array(z.object({ line: z.number(), text: z.string(), partial: z.boolean().optional() })).optional(),
+      omittedLines: z.number().optional(),
+      totalLines: z.number().optional(),
+      totalChunks: z.number().optional(),
+      nextSeq: z.number().optional(),
+      droppedCount: z.number().optional(),
+      truncated: z.boolean().optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, fromIndex = 0, afterSeq, tail, head, fromLine, toLine, maxChars, format = "chunks" }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    
+    const output = {
+      ok: true,
+      sessionId,
+      isRunning: s.isRunning,
+      exitCode: s.exitCode,
+      exitSignal: s.exitSignal
+    };
+
+    const lineMode = format === "lines" || [tail, head, fromLine, toLine, maxChars].some((v) => v !== undefined);
+    if (lineMode) {
+      const numbered = await getLinesForRange(s, { fromLine, toLine, tail });
+      const { lines, omittedLines } = selectLines(numbered, { fromLine, toLine, head, tail, maxChars });
+      output.lines = format === "chunks" ? lines : lines.map((l) => ({ ...l, text: cleanOutputText(l.text) }));
+      if (omittedLines > 0) output.omittedLines = omittedLines;
+    } else if (afterSeq !== undefined) {
+      // Entries between afterSeq and the oldest buffered entry were evicted from memory; read them back from the log
+      const firstSeq = s.lastSeq - s.output.length + 1;
+      let older = [];
+      if (s.logPath && afterSeq + 1 < firstSeq) {
+        older = await readLogEntries(s, (entry) => entry.seq > afterSeq && entry.seq < firstSeq);
+      }
+      output.output = [...older, ...s.output.filter((entry) => entry.seq > afterSeq)];
+      const dropped = Math.max(0, firstSeq - afterSeq - 1 - older.length);
+      if (dropped > 0) {
+        output.droppedCount = dropped;
+        output.truncated = true;
+      }
+    } else {
+      output.output = s.output.slice(fromIndex);
+    }
+    output.totalLines = countLines(s);
+    output.totalChunks = s.lastSeq;
+    output.nextSeq = s.lastSeq;
+
+    if (format === "chunks") return formatOutputResult(output);
+
+    let text;
+    if (lineMode) {
+      text = output.lines.map((l) => l.text).join("\n");
+    } else {
+      // Plain text replaces the chunk array
+      text = entriesToText(output.output);
+      delete output.output;
+      output.text = text;
+    }
+    const header = {
+      status: s.isRunning ? "running" : "exited",
+      exitCode: s.isRunning ? undefined : s.exitCode,
+      totalLines: output.totalLines,
+      omittedLines: output.omittedLines,
+      droppedCount: output.droppedCount,
+      nextSeq: output.nextSeq
+    };
+    return formatOutputResult(output, { format, header, text });
+  }
+);
+
+// Tool: Get rendered terminal screen
+registerTool(
+  "getScreen",
+  {
+    title: "Get Screen",
+    description: "Get the current visible terminal screen of a PTY session as plain text lines plus cursor position. Use for full-screen/TUI programs (htop, vim, interactive prompts, watch menus) that redraw with cursor escapes.",
+    inputSchema: {
+      sessionId: z.string(),
+      scrollbackLines: z.number().optional().describe("Number of scrollback lines above the screen to include. Default 0")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sessionId: z.string().optional(),
+      isRunning: z.boolean().optional(),
+      cols: z.number().optional(),
+      rows: z.number().optional(),
+      lines: z.array(z.string()).optional(),
+      cursor: z.object({ x: z.number(), y: z.number() }).optional(),
+      bufferType: z.string().optional(),
+      scrollback: z.array(z.string()).optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, scrollbackLines = 0 }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    const screen = await readScreen(s.screen, { scrollbackLines });
+    const output = {
+      ok: true,
+      sessionId,
+      isRunning: s.isRunning,
+      ...screen
+    };
+
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+);
+
+// Tool: Resize a PTY session
+registerTool(
+  "resizeSession",
+  {
+    title: "Resize Session",
+    description: "Resize the terminal of a running PTY session (e.g. widen it when tables from docker ps or test reporters wrap badly). The process receives SIGWINCH and the screen model is reflowed.",
+    inputSchema: {
+      sessionId: z.string(),
+      cols: z.number().int().positive(),
+      rows: z.number().int().positive()
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      cols: z.number().optional(),
+      rows: z.number().optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, cols, rows }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    if (!s.isRunning) {
+      const output = { ok: false, error: "Session is not running" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    try {
+      s.pty.resize(cols, rows);
+      s.cols = cols;
+      s.rows = rows;
+      s.screen.resize(cols, rows);
+      pushOutput(s, { type: 'resize', cols, rows, timestamp: new Date().toISOString() });
+      const output = { ok: true, cols, rows };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    } catch (e) {
+      const output = { ok: false, error: String(e) };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+  }
+);
+
+// Tool: Wait for session output to match a pattern
+registerTool(
+  "waitForOutput",
+  {
+    title: "Wait For Output",
+    description: "Block until a background session prints text matching a regex (e.g. \"ready on http\", \"Compiled successfully\"), the process exits, or the timeout elapses. Use instead of polling getSessionOutput.",
+    inputSchema: {
+      sessionId: z.string(),
+      pattern: z.union([z.string(), z.array(z.string())]).describe("Regex (or list of regexes) to wait for"),
+      failurePattern: z.union([z.string(), z.array(z.string())]).optional().describe("Regex (or list of regexes) that aborts the wait as failed"),
+      flags: z.string().optional().describe("RegExp flags, e.g. \"i\""),
+      fromIndex: z.number().optional().describe("Output index to start searching from. Default 0"),
+      afterSeq: z.number().optional().describe("Search only entries with seq greater than this (e.g. nextSeq from a previous call). Takes precedence over fromIndex"),
+      timeoutMs: z.number().optional().describe("Timeout in milliseconds. Default 30000 (30s)"),
+      contextLines: z.number().optional().describe("Lines of context around the match. Default 3")
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sessionId: z.string().optional(),
+      matched: z.boolean().optional(),
+      status: z.enum(["matched", "failed", "exited", "timeout"]).optional(),
+      pattern: z.string().optional(),
+      patternIndex: z.number().optional(),
+      match: z.string().optional(),
+      index: z.number().optional(),
+      seq: z.number().optional(),
+      context: z.array(z.string()).optional(),
+      nextSeq: z.number().optional(),
+      isRunning: z.boolean().optional(),
+      exitCode: z.number().nullable().optional(),
+      elapsedMs: z.number().optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, pattern, failurePattern, flags = "", fromIndex = 0, afterSeq, timeoutMs = 30000, contextLines = 3 }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    let patterns, failurePatterns;
+    try {
+      patterns = compilePatterns(pattern, flags);
+      failurePatterns = compilePatterns(failurePattern, flags);
+    } catch (e) {
+      const output = { ok: false, error: `Invalid pattern: ${e.message}` };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    // Translate a buffer index into a seq cursor so trimming during the wait cannot shift it
+    if (afterSeq === undefined) {
+      afterSeq = fromIndex < s.output.length ? s.output[fromIndex].seq - 1 : s.lastSeq;
+    }
+
+    const { cursor, ...result } = await waitForSessionOutput(s, { patterns, failurePatterns, afterSeq, timeoutMs, contextLines });
+    const output = { ok: true, sessionId, ...result };
+
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
   }
 );
 
-// Tool: Start background process
-server.registerTool(
-  "startProcessBackground",
+// Tool: Run an expect-style scripted interaction
+registerTool(
+  "runInteraction",
   {
-    title: "Start Background Process",
-    description: "Start a long-running process in a PTY (servers, watch modes, daemons). Returns immediately with sessionId. Use getSessionOutput to read output. For quick commands use startProcessAndWait instead.",
+    title: "Run Interaction",
+    description: "Drive an interactive CLI (npm init, npx create-vite, database shells, login prompts) with an expect-style script in one call. Each step waits for a regex (expect) and then sends text and/or keys; branches handle alternative prompts. Works on an existing session (sessionId) or starts a new background session (cmd). Returns a transcript and which step failed, if any.",
     inputSchema: {
-      cmd: z.string(),
+      sessionId: z.string().optional().describe("Existing session to interact with"),
+      cmd: z.string().optional().describe("Command to start as a new background session when no sessionId is given"),
       args: z.array(z.string()).optional(),
       cwd: z.string().optional(),
       env: z.record(z.string()).optional(),
+      ...spawnOptionsSchema,
       cols: z.number().optional(),
       rows: z.number().optional(),
-      shellOnWindows: z.boolean().optional()
+      afterSeq: z.number().optional().describe("Only match output with seq greater than this. Default: new output only (0 for a started command)"),
+      steps: z.array(z.object({
+        label: z.string().optional().describe("Name to jump to from a branch goto"),
+        expect: z.string().optional().describe("Regex to wait for before sending. Omit to send immediately"),
+        send: z.string().optional().describe("Raw text to write, e.g. \"my-app\\r\""),
+        keys: keysSchema.optional().describe("Keys to send after send, as in sendKeys"),
+        timeoutMs: z.number().optional().describe("Timeout for this step's expect"),
+        optional: z.boolean().optional().describe("Continue with the next step instead of failing when nothing matches in time"),
+        branches: z.array(z.object({
+          expect: z.string().describe("Regex of an alternative prompt"),
+          send: z.string().optional(),
+          keys: keysSchema.optional(),
+          goto: z.union([z.number(), z.string()]).optional().describe("Step index or label to continue with. Default: wait for this step again"),
+          fail: z.boolean().optional().describe("Stop the script as failed when this branch matches")
+        })).optional().describe("Alternative prompts that may appear instead of expect")
+      })),
+      flags: z.string().optional().describe("RegExp flags for all patterns, e.g. \"i\""),
+      timeoutMs: z.number().optional().describe("Default per-step timeout in milliseconds. Default 10000")
     },
     outputSchema: {
       ok: z.boolean(),
       sessionId: z.string().optional(),
-      pid: z.number().optional(),
-      error: z.string().optional()
+      completed: z.boolean().optional(),
+      failedStep: z.number().optional(),
+      failedLabel: z.string().optional(),
+      reason: z.string().optional(),
+      transcript: z.array(z.any()).optional(),
+      output: z.string().optional(),
+      isRunning: z.boolean().optional(),
+      exitCode: z.number().nullable().optional(),
+      error: z.string().optional(),
+      errorCode: z.enum(["ENOENT_COMMAND", "ENOENT_CWD", "EACCES", "SPAWN_FAILED", "INVALID_ENV"]).optional(),
     }
   },
-  async ({ cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, shellOnWindows = false }) => {
-    const { pty: p, exe, argv } = spawnPtyProcess({ cmd, args, cwd, env, cols, rows, shellOnWindows });
+  async ({ sessionId, cmd, args = [], cwd = process.cwd(), env = {}, cols = 120, rows = 30, afterSeq, steps, flags = "", timeoutMs = 10000, ...spawnOptions }) => {
+    const fail = (error) => {
+      const output = { ok: false, error };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    };
 
-    const sessionId = randomUUID();
-    const outputBuffer = [];
-    const maxBufferSize = 10000; // Max lines to keep
-    
-    sessions.set(sessionId, {
-      pid: p.pid,
-      pty: p,
-      cwd,
-      cmd: exe,
-      args: argv,
-      cols,
-      rows,
-      startedAt: new Date().toISOString(),
-      output: outputBuffer,
-      exitCode: null,
-      exitSignal: null,
-      isRunning: true
-    });
+    // Resolve goto targets and compile patterns up front so a bad script fails before anything is sent
+    const labels = new Map(steps.map((step, i) => [step.label, i]).filter(([label]) => label !== undefined));
+    let plan;
+    try {
+      plan = steps.map((step, i) => {
+        const alternatives = [];
+        if (step.expect !== undefined) alternatives.push({ ...step, next: i + 1 });
+        for (const branch of step.branches ?? []) {
+          let next = i;
+          if (typeof branch.goto === "number") next = branch.goto;
+          else if (branch.goto !== undefined) next = labels.get(branch.goto);
+          if (next === undefined || next < 0 || next > steps.length) throw new Error(`Unknown goto target: ${branch.goto}`);
+          alternatives.push({ ...branch, next });
+        }
+        return { step, alternatives, patterns: alternatives.map((a) => new RegExp(a.expect, flags)) };
+      });
+    } catch (e) {
+      return fail(`Invalid script: ${e.message}`);
+    }
 
-    p.onData((data) => {
-      // Buffer output for reading
-      outputBuffer.push({ type: 'stdout', data, timestamp: new Date().toISOString() });
-      if (outputBuffer.length > maxBufferSize) {
-        outputBuffer.shift(); // Remove oldest
+    let s;
+    if (sessionId) {
+      s = sessions.get(sessionId);
+      if (!s) return fail("Session not found");
+    } else if (cmd) {
+      try {
+        ({ sessionId, session: s } = startBackgroundSession({ cmd, args, cwd, env, cols, rows, ...spawnOptions }));
+      } catch (e) {
+        const output = { ok: false, error: e.message, errorCode: e.code };
+        return {
+          content: [{ type: "text", text: JSON.stringify(output) }],
+          structuredContent: output
+        };
       }
-      console.error(`[${sessionId}] ${data}`);
-    });
+      afterSeq = afterSeq ?? 0;
+    } else {
+      return fail("Either sessionId or cmd is required");
+    }
 
-    p.onExit(({ exitCode, signal }) => {
-      const session = sessions.get(sessionId);
-      if (session) {
-        session.isRunning = false;
-        session.exitCode = exitCode;
-        session.exitSignal = signal;
-        session.output.push({ 
-          type: 'exit', 
-          exitCode, 
-          signal, 
-          timestamp: new Date().toISOString() 
-        });
+    const startSeq = afterSeq ?? s.lastSeq;
+    let cursor = { afterSeq: startSeq, skipChars: 0 };
+    const transcript = [];
+    let failure = null;
+
+    const sendStep = async (i, { send, keys }) => {
+      if (send !== undefined) {
+        s.pty.write(send);
+        transcript.push({ step: i, type: "send", data: send });
       }
-      console.error(`[${sessionId}] Process exited: code=${exitCode}, signal=${signal}`);
-    });
+      if (keys !== undefined) {
+        await writeSequences(s, translateKeys(s, keys));
+        transcript.push({ step: i, type: "keys", keys });
+      }
+    };
+
+    // Guard against branches that loop forever
+    const maxExecutedSteps = 200;
+    let executed = 0;
+    let i = 0;
+    while (i < plan.length && !failure) {
+      if (++executed > maxExecutedSteps) {
+        failure = { step: i, reason: `Stopped after ${maxExecutedSteps} steps` };
+        break;
+      }
+      const { step, alternatives, patterns } = plan[i];
+
+      if (alternatives.length === 0) {
+        await sendStep(i, step);
+        i++;
+        continue;
+      }
+
+      const result = await waitForSessionOutput(s, { patterns, ...cursor, timeoutMs: step.timeoutMs ?? timeoutMs, contextLines: 0 });
+      if (!result.matched) {
+        transcript.push({ step: i, type: result.status });
+        if (result.status === "timeout" && step.optional) {
+          i++;
+          continue;
+        }
+        const expected = alternatives.map((a) => a.expect).join(" | ");
+        const reason = result.status === "exited" ? `Process exited while waiting for ${expected}` : `Timeout waiting for ${expected}`;
+        failure = { step: i, reason };
+        break;
+      }
+
+      const alternative = alternatives[result.patternIndex];
+      cursor = result.cursor;
+      transcript.push({ step: i, type: "expect", pattern: alternative.expect, match: result.match });
+
+      if (alternative.fail) {
+        failure = { step: i, reason: `Matched failure branch ${alternative.expect}` };
+        break;
+      }
+
+      await sendStep(i, alternative);
+      i = alternative.next;
+    }
+
+    // Output produced during the interaction, capped to keep the response small
+    const text = getOutputText(s, startSeq).slice(-10000);
 
     const output = {
       ok: true,
       sessionId,
-      pid: p.pid
+      completed: !failure,
+      transcript,
+      output: text,
+      isRunning: s.isRunning,
+      exitCode: s.exitCode
     };
+    if (failure) {
+      output.failedStep = failure.step;
+      if (steps[failure.step]?.label !== undefined) output.failedLabel = steps[failure.step].label;
+      output.reason = failure.reason;
+    }
 
     return {
       content: [{ type: "text", text: JSON.stringify(output) }],
@@ -226,32 +2692,65 @@ server.registerTool(
   }
 );
 
-// Tool: Write input to PTY session
-server.registerTool(
-  "writeInput",
+// Tool: Start a persistent shell session
+registerTool(
+  "startShell",
   {
-    title: "Write Input",
-    description: "Write input to a running PTY session",
+    title: "Start Shell",
+    description: "Start a long-lived bash, zsh or sh session in which cd, export and activated virtualenvs persist between commands. Run commands in it with runInShell, which reports each command's output, exit code, duration and the shell's cwd. Not available on Windows.",
     inputSchema: {
-      sessionId: z.string(),
-      data: z.string()
+      shell: z.enum(["bash", "zsh", "sh"]).optional().describe("Shell to start. Default: $SHELL if supported, else bash"),
+      cwd: z.string().optional(),
+      env: z.record(z.string()).optional(),
+      ...spawnOptionsSchema,
+      cols: z.number().optional(),
+      rows: z.number().optional(),
+      timeoutMs: z.number().optional().describe("Maximum time to wait for the shell to start. Default 10000")
     },
     outputSchema: {
       ok: z.boolean(),
-      error: z.string().optional()
+      sessionId: z.string().optional(),
+      pid: z.number().optional(),
+      shell: z.string().optional(),
+      cwd: z.string().optional(),
+      error: z.string().optional(),
+      errorCode: z.enum(["ENOENT_COMMAND", "ENOENT_CWD", "EACCES", "SPAWN_FAILED", "INVALID_ENV"]).optional(),
     }
   },
-  async ({ sessionId, data }) => {
-    const s = sessions.get(sessionId);
-    if (!s) {
-      const output = { ok: false, error: "Session not found" };
+  async ({ shell, cwd = process.cwd(), env = {}, cols = 120, rows = 30, timeoutMs = 10000, ...spawnOptions }) => {
+    if (os.platform() === "win32") {
+      const output = { ok: false, error: "startShell is not supported on Windows" };
       return {
         content: [{ type: "text", text: JSON.stringify(output) }],
         structuredContent: output
       };
     }
-    s.pty.write(data);
-    const output = { ok: true };
+
+    const type = shell ?? (SHELL_PROFILES[path.basename(process.env.SHELL || "")] ? path.basename(process.env.SHELL) : "bash");
+    const profile = SHELL_PROFILES[type];
+    let started;
+    try {
+      started = startBackgroundSession({ cmd: type, args: profile.args, cwd, env, cols, rows, ...spawnOptions });
+    } catch (e) {
+      const output = { ok: false, error: e.message, errorCode: e.code };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    const { sessionId, session: s } = started;
+    s.shell = { type, busy: false };
+
+    const result = await runShellCommand(s, profile.init, timeoutMs);
+    if (result.status !== "completed") {
+      const output = { ok: false, sessionId, error: `Shell did not start (${result.status})` };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    const output = { ok: true, sessionId, pid: s.pid, shell: type, cwd: result.cwd };
     return {
       content: [{ type: "text", text: JSON.stringify(output) }],
       structuredContent: output
@@ -259,48 +2758,61 @@ server.registerTool(
   }
 );
 
-// Tool: Get session output
-server.registerTool(
-  "getSessionOutput",
+// Tool: Run a command in a persistent shell session
+registerTool(
+  "runInShell",
   {
-    title: "Get Session Output",
-    description: "Get the buffered output from a running or completed PTY session",
+    title: "Run In Shell",
+    description: "Run a command line in a shell started with startShell and wait for it to finish. Returns only that command's output, its exit code, the duration and the shell's current working directory afterwards. State such as cd, export or source venv/bin/activate persists for later commands. On timeout the command is interrupted with Ctrl-C unless interruptOnTimeout is false.",
     inputSchema: {
       sessionId: z.string(),
-      fromIndex: z.number().optional()
+      command: z.string().describe("Command line to run, e.g. \"cd api && npm test\""),
+      timeoutMs: z.number().optional().describe("Maximum time to wait in milliseconds. Default 30000"),
+      interruptOnTimeout: z.boolean().optional().describe("Send Ctrl-C to the command when it times out. Default true"),
+      maxOutputChars: z.number().optional().describe("Character budget for the returned output; the middle is omitted when exceeded. Default 20000")
     },
     outputSchema: {
       ok: z.boolean(),
-      sessionId: z.string().optional(),
-      isRunning: z.boolean().optional(),
+      status: z.enum(["completed", "timeout", "exited"]).optional(),
+      output: z.string().optional(),
+      truncated: z.boolean().optional(),
+      omittedLines: z.number().optional(),
+      omittedChars: z.number().optional(),
       exitCode: z.number().nullable().optional(),
-      exitSignal: z.number().nullable().optional(),
-      output: z.array(z.any()).optional(),
-      totalLines: z.number().optional(),
+      durationMs: z.number().optional(),
+      cwd: z.string().optional(),
+      isRunning: z.boolean().optional(),
       error: z.string().optional()
     }
   },
-  async ({ sessionId, fromIndex = 0 }) => {
-    const s = sessions.get(sessionId);
-    if (!s) {
-      const output = { ok: false, error: "Session not found" };
+  async ({ sessionId, command, timeoutMs = 30000, interruptOnTimeout = true, maxOutputChars = 20000 }) => {
+    const fail = (error) => {
+      const output = { ok: false, error };
       return {
         content: [{ type: "text", text: JSON.stringify(output) }],
         structuredContent: output
       };
-    }
-    
-    const outputSlice = s.output.slice(fromIndex);
-    const output = {
-      ok: true,
-      sessionId,
-      isRunning: s.isRunning,
-      exitCode: s.exitCode,
-      exitSignal: s.exitSignal,
-      output: outputSlice,
-      totalLines: s.output.length
     };
-    
+
+    const s = sessions.get(sessionId);
+    if (!s) return fail("Session not found");
+    if (!s.shell) return fail("Session is not a shell started with startShell");
+    if (!s.isRunning) return fail("Shell has exited");
+    if (s.shell.busy) return fail("Shell is busy running another command");
+
+    s.shell.busy = true;
+    let result;
+    try {
+      result = await runShellCommand(s, command, timeoutMs, { maxChars: maxOutputChars });
+    } finally {
+      s.shell.busy = false;
+    }
+
+    if (result.status === "timeout" && interruptOnTimeout) {
+      s.pty.write("\x03");
+    }
+
+    const output = { ok: true, ...result, isRunning: s.isRunning };
     return {
       content: [{ type: "text", text: JSON.stringify(output) }],
       structuredContent: output
@@ -309,7 +2821,7 @@ server.registerTool(
 );
 
 // Tool: List all sessions
-server.registerTool(
+registerTool(
   "listSessions",
   {
     title: "List Sessions",
@@ -321,17 +2833,7 @@ server.registerTool(
     }
   },
   async () => {
-    const sessionList = Array.from(sessions.entries()).map(([id, s]) => ({
-      sessionId: id,
-      pid: s.pid,
-      cmd: s.cmd,
-      args: s.args,
-      cwd: s.cwd,
-      isRunning: s.isRunning,
-      exitCode: s.exitCode,
-      startedAt: s.startedAt,
-      outputLines: s.output.length
-    }));
+    const sessionList = Array.from(sessions.entries()).map(([id, s]) => describeSession(id, s));
     
     const output = {
       ok: true,
@@ -345,22 +2847,130 @@ server.registerTool(
   }
 );
 
+// Tool: Get process tree of a PTY session
+registerTool(
+  "getProcessTree",
+  {
+    title: "Get Process Tree",
+    description: "List all processes belonging to a PTY session: the leader, its descendants and leftovers in its process group (e.g. dev servers spawned by npm run dev, docker compose, npx)",
+    inputSchema: {
+      sessionId: z.string()
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      sessionId: z.string().optional(),
+      pid: z.number().optional(),
+      isRunning: z.boolean().optional(),
+      processes: z.array(z.object({
+        pid: z.number(),
+        ppid: z.number(),
+        pgid: z.number(),
+        command: z.string()
+      })).optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+
+    const processes = collectProcessTree(s).map(({ pid, ppid, pgid, command }) => ({ pid, ppid, pgid, command }));
+    const output = {
+      ok: true,
+      sessionId,
+      pid: s.pid,
+      isRunning: s.isRunning,
+      processes
+    };
+
+    return {
+      content: [{ type: "text", text: JSON.stringify(output) }],
+      structuredContent: output
+    };
+  }
+);
+
+// Tool: Send a signal to a PTY session
+registerTool(
+  "sendSignal",
+  {
+    title: "Send Signal",
+    description: "Send a POSIX signal to a running PTY session (e.g. SIGINT like Ctrl-C, SIGHUP to reload, SIGUSR1/2). Does not wait for the process to exit; use stopProcess to terminate.",
+    inputSchema: {
+      sessionId: z.string(),
+      signal: z.enum(SIGNALS)
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      signal: z.string().optional(),
+      isRunning: z.boolean().optional(),
+      error: z.string().optional()
+    }
+  },
+  async ({ sessionId, signal }) => {
+    const s = sessions.get(sessionId);
+    if (!s) {
+      const output = { ok: false, error: "Session not found" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    if (!s.isRunning) {
+      const output = { ok: false, isRunning: false, error: "Session is not running" };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+    try {
+      killPty(s.pty, signal);
+      const output = { ok: true, signal, isRunning: s.isRunning };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    } catch (e) {
+      const output = { ok: false, error: String(e) };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
+  }
+);
+
 // Tool: Stop a PTY session
-server.registerTool(
+registerTool(
   "stopProcess",
   {
     title: "Stop Process",
-    description: "Stop a running PTY session",
+    description: "Stop a running PTY session and its whole process tree (children, grandchildren, process group). Sends signal (default SIGHUP), waits gracePeriodMs for the processes to exit and escalates to SIGKILL if they do not. Reports killed: true only once the process has actually exited, and lists survivors that refused to die.",
     inputSchema: {
-      sessionId: z.string()
+      sessionId: z.string(),
+      signal: z.enum(SIGNALS).optional().describe("Signal to send first. Default SIGHUP"),
+      gracePeriodMs: z.number().optional().describe("Time to wait for exit before escalating. Default 5000"),
+      escalate: z.boolean().optional().describe("Send SIGKILL after the grace period. Default true")
     },
     outputSchema: {
       ok: z.boolean(),
       killed: z.boolean().optional(),
+      signal: z.string().optional(),
+      escalated: z.boolean().optional(),
+      alreadyExited: z.boolean().optional(),
+      exitCode: z.number().nullable().optional(),
+      exitSignal: z.string().nullable().optional().describe("Name of the signal that terminated the process, e.g. SIGSEGV"),
+      survivors: z.array(z.object({ pid: z.number(), command: z.string() })).optional(),
       error: z.string().optional()
     }
   },
-  async ({ sessionId }) => {
+  async ({ sessionId, signal = "SIGHUP", gracePeriodMs = 5000, escalate = true }) => {
     const s = sessions.get(sessionId);
     if (!s) {
       const output = { ok: false, error: "Session not found" };
@@ -369,12 +2979,33 @@ server.registerTool(
         structuredContent: output
       };
     }
+    if (!s.isRunning) {
+      const output = { ok: true, killed: false, alreadyExited: true, exitCode: s.exitCode, exitSignal: s.exitSignal };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output) }],
+        structuredContent: output
+      };
+    }
     try {
-      s.pty.kill();
-      s.isRunning = false;
-      // Don't delete session immediately - keep it for output reading
+      const { escalated, survivors } = await terminateProcessTree(s, { signal, gracePeriodMs, escalate });
+      const exited = await waitForExit(s, 2000);
+
+      // Don't delete session - keep it for output reading
       // Sessions will be cleaned up on server restart or manually
-      const output = { ok: true, killed: true };
+      const output = {
+        ok: exited && survivors.length === 0,
+        killed: exited,
+        signal,
+        escalated,
+        exitCode: s.exitCode,
+        exitSignal: s.exitSignal
+      };
+      if (survivors.length > 0) {
+        output.survivors = survivors;
+        output.error = `${survivors.length} process(es) refused to die`;
+      } else if (!exited) {
+        output.error = "Process did not exit";
+      }
       return {
         content: [{ type: "text", text: JSON.stringify(output) }],
         structuredContent: output
@@ -390,17 +3021,18 @@ server.registerTool(
 );
 
 // Tool: Clean up finished sessions
-server.registerTool(
+registerTool(
   "cleanupSessions",
   {
     title: "Cleanup Sessions",
-    description: "Remove finished (non-running) sessions from memory",
+    description: "Remove finished (non-running) sessions from memory, terminating any leftover child processes",
     inputSchema: {
       sessionId: z.string().optional()
     },
     outputSchema: {
       ok: z.boolean(),
       cleaned: z.number().optional(),
+      survivors: z.array(z.object({ pid: z.number(), command: z.string() })).optional(),
       error: z.string().optional()
     }
   },
@@ -422,8 +3054,14 @@ server.registerTool(
           structuredContent: output
         };
       }
+      // Leftover children may outlive the session leader
+      const { survivors } = await terminateProcessTree(s, { signal: "SIGTERM", gracePeriodMs: 1000 });
+      closeSessionLog(s);
+      s.screen.dispose();
       sessions.delete(sessionId);
+      server.sendResourceListChanged();
       const output = { ok: true, cleaned: 1 };
+      if (survivors.length > 0) output.survivors = survivors;
       return {
         content: [{ type: "text", text: JSON.stringify(output) }],
         structuredContent: output
@@ -431,13 +3069,20 @@ server.registerTool(
     } else {
       // Clean all finished sessions
       let cleaned = 0;
+      const survivors = [];
       for (const [id, s] of sessions.entries()) {
         if (!s.isRunning) {
+          const result = await terminateProcessTree(s, { signal: "SIGTERM", gracePeriodMs: 1000 });
+          survivors.push(...result.survivors);
+          closeSessionLog(s);
+          s.screen.dispose();
           sessions.delete(id);
           cleaned++;
         }
       }
+      if (cleaned > 0) server.sendResourceListChanged();
       const output = { ok: true, cleaned };
+      if (survivors.length > 0) output.survivors = survivors;
       return {
         content: [{ type: "text", text: JSON.stringify(output) }],
         structuredContent: output
@@ -446,12 +3091,125 @@ server.registerTool(
   }
 );
 
-process.on("SIGINT", () => {
-  for (const s of sessions.values()) {
-    try { s.pty.kill(); } catch {}
+// Resources: session://{sessionId}/output, /screen and /info with update subscriptions
+const resourceSubscriptions = new Set();
+const pendingResourceUpdates = new Map();
+
+// Helper function to send a throttled notifications/resources/updated for a subscribed URI
+function notifyResourceUpdated(uri) {
+  if (!resourceSubscriptions.has(uri) || pendingResourceUpdates.has(uri)) return;
+  pendingResourceUpdates.set(uri, setTimeout(() => {
+    pendingResourceUpdates.delete(uri);
+    server.server.sendResourceUpdated({ uri }).catch(() => {});
+  }, 250));
+}
+
+// Helper function to notify subscribers of a session's resources on new output and exit
+function watchSessionResources(sessionId, session) {
+  session.events.on("output", () => {
+    notifyResourceUpdated(`session://${sessionId}/output`);
+    notifyResourceUpdated(`session://${sessionId}/screen`);
+  });
+  session.events.on("exit", () => {
+    notifyResourceUpdated(`session://${sessionId}/output`);
+    notifyResourceUpdated(`session://${sessionId}/screen`);
+    notifyResourceUpdated(`session://${sessionId}/info`);
+  });
+}
+
+// Helper function to list one resource per session for a resource kind
+function listSessionResources(kind, mimeType) {
+  return {
+    resources: Array.from(sessions.entries()).map(([id, s]) => ({
+      uri: `session://${id}/${kind}`,
+      name: `${s.cmd} ${s.args.join(" ")} (${kind})`.trim(),
+      mimeType
+    }))
+  };
+}
+
+// Helper function to read a session resource, failing for unknown sessions
+function getResourceSession(sessionId) {
+  const s = sessions.get(sessionId);
+  if (!s) throw new Error(`Session not found: ${sessionId}`);
+  return s;
+}
+
+server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+server.registerResource(
+  "session-output",
+  new ResourceTemplate("session://{sessionId}/output", { list: async () => listSessionResources("output", "text/plain") }),
+  {
+    title: "Session Output",
+    description: "Buffered output lines of a PTY session",
+    mimeType: "text/plain"
+  },
+  async (uri, { sessionId }) => {
+    const s = getResourceSession(sessionId);
+    const text = getNumberedLines(s).map((l) => l.text).join("\n");
+    return { contents: [{ uri: uri.href, mimeType: "text/plain", text }] };
+  }
+);
+
+server.registerResource(
+  "session-screen",
+  new ResourceTemplate("session://{sessionId}/screen", { list: async () => listSessionResources("screen", "text/plain") }),
+  {
+    title: "Session Screen",
+    description: "Currently visible terminal screen of a PTY session",
+    mimeType: "text/plain"
+  },
+  async (uri, { sessionId }) => {
+    const s = getResourceSession(sessionId);
+    const screen = await readScreen(s.screen);
+    return { contents: [{ uri: uri.href, mimeType: "text/plain", text: screen.lines.join("\n") }] };
+  }
+);
+
+server.registerResource(
+  "session-info",
+  new ResourceTemplate("session://{sessionId}/info", { list: async () => listSessionResources("info", "application/json") }),
+  {
+    title: "Session Info",
+    description: "Command, state and exit status of a PTY session",
+    mimeType: "application/json"
+  },
+  async (uri, { sessionId }) => {
+    const s = getResourceSession(sessionId);
+    const text = JSON.stringify(describeSession(sessionId, s));
+    return { contents: [{ uri: uri.href, mimeType: "application/json", text }] };
   }
+);
+
+// Terminate every session's process tree before exiting so no grandchildren keep ports occupied
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  await Promise.all(Array.from(sessions.entries()).map(async ([id, s]) => {
+    try {
+      const { survivors } = await terminateProcessTree(s, { signal: "SIGHUP", gracePeriodMs: 2000 });
+      for (const p of survivors) {
+        log("warn", `Process ${p.pid} refused to die: ${p.command}`, { sessionId: id });
+      }
+    } catch {}
+  }));
   process.exit(0);
-});
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
 
 const transport = new StdioServerTransport();
 await server.connect(transport);
@@ -0,0 +1,181 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+/**
+ * Unit tests for session resources:
+ * - session://{sessionId}/output
+ * - session://{sessionId}/screen
+ * - session://{sessionId}/info
+ * 
+ * These tests verify:
+ * - Resource listing from active sessions
+ * - Reading resource contents
+ * - Update notifications for subscribed resources
+ */
+
+// Helper to create test MCP server
+function createTestServer() {
+  const server = spawn('node', ['bg-server-mcp-shell.js'], {
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  
+  let responseBuffer = '';
+  const responses = [];
+  
+  server.stdout.on('data', (data) => {
+    responseBuffer += data.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          responses.push(JSON.parse(line));
+        } catch (e) {
+          // Skip non-JSON lines
+        }
+      }
+    }
+  });
+  
+  return {
+    server,
+    responses,
+    send: (request) => {
+      server.stdin.write(JSON.stringify(request) + '\n');
+    },
+    waitForResponse: (id, timeoutMs = 5000) => {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error(`Timeout waiting for response with id ${id}`));
+        }, timeoutMs);
+        
+        const check = () => {
+          const response = responses.find(r => r.id === id);
+          if (response) {
+            clearTimeout(timeout);
+            resolve(response);
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    },
+    close: () => {
+      server.kill();
+    }
+  };
+}
+
+describe('Session resources', () => {
+  let testServer;
+  let sessionId;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    const init = await testServer.waitForResponse('init');
+    assert.strictEqual(init.result.capabilities.resources.subscribe, true);
+    
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'echo first; sleep 1; echo second; sleep 0.5']
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    sessionId = response.result.structuredContent.sessionId;
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  it('should list output, screen and info resources per session', async () => {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'resources/list',
+      params: {}
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const uris = response.result.resources.map(r => r.uri);
+    
+    assert.ok(uris.includes(`session://${sessionId}/output`));
+    assert.ok(uris.includes(`session://${sessionId}/screen`));
+    assert.ok(uris.includes(`session://${sessionId}/info`));
+  });
+  
+  it('should read session output and info', async () => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const outputId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: outputId,
+      method: 'resources/read',
+      params: { uri: `session://${sessionId}/output` }
+    });
+    
+    const outputResponse = await testServer.waitForResponse(outputId);
+    assert.match(outputResponse.result.contents[0].text, /first/);
+    
+    const infoId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: infoId,
+      method: 'resources/read',
+      params: { uri: `session://${sessionId}/info` }
+    });
+    
+    const infoResponse = await testServer.waitForResponse(infoId);
+    const info = JSON.parse(infoResponse.result.contents[0].text);
+    assert.strictEqual(info.sessionId, sessionId);
+    assert.strictEqual(info.cmd, 'bash');
+  });
+  
+  it('should notify subscribers about new output and exit', async () => {
+    const subscribeId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: subscribeId,
+      method: 'resources/subscribe',
+      params: { uri: `session://${sessionId}/info` }
+    });
+    
+    await testServer.waitForResponse(subscribeId);
+    
+    // Wait for the process to exit and the throttled notification to arrive
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
+    const updates = testServer.responses.filter(r =>
+      r.method === 'notifications/resources/updated' && r.params.uri === `session://${sessionId}/info`
+    );
+    assert.ok(updates.length >= 1);
+  });
+});
@@ -2,15 +2,24 @@ import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
+import fs from 'fs';
 
 /**
  * Unit tests for process control tools:
  * - writeInput
+ * - writeInputAndWait
+ * - sendKeys
+ * - sendSignal
  * - stopProcess
+ * - getProcessTree
  * 
  * These tests verify:
  * - Sending input to running processes
- * - Graceful process termination
+ * - Waiting for the response to written input
+ * - Translating named keys and chords to escape sequences
+ * - Sending signals to running processes
+ * - Graceful process termination and SIGKILL escalation
+ * - Process tree tracking and termination
  * - Error handling for invalid sessions
  */
 
@@ -191,6 +200,97 @@ describe('writeInput', () => {
     });
   });
   
+  it('should close stdin with eof in pipe mode', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'wc', args: ['-l'], mode: 'pipe' }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    const writeId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: writeId,
+      method: 'tools/call',
+      params: {
+        name: 'writeInput',
+        arguments: { sessionId, data: 'one\ntwo\nthree\n', eof: true }
+      }
+    });
+    
+    await testServer.waitForResponse(writeId);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    const outputId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: outputId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(outputId)).result.structuredContent;
+    assert.strictEqual(result.isRunning, false);
+    assert.strictEqual(result.exitCode, 0);
+    assert.match(result.output.filter(o => o.type === 'stdout').map(o => o.data).join(''), /^\s*3\n$/);
+  });
+  
+  it('should send Ctrl-D with eof in a PTY', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'cat', args: [] }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    const writeId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: writeId,
+      method: 'tools/call',
+      params: {
+        name: 'writeInput',
+        arguments: { sessionId, data: 'last line\n', eof: true }
+      }
+    });
+    
+    await testServer.waitForResponse(writeId);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    const outputId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: outputId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(outputId)).result.structuredContent;
+    assert.strictEqual(result.isRunning, false);
+    assert.strictEqual(result.exitCode, 0);
+  });
+  
   it('should handle multiple sequential writes', async () => {
     // Start cat process
     const startId = randomUUID();
@@ -337,7 +437,7 @@ describe('writeInput', () => {
   });
 });
 
-describe('stopProcess', () => {
+describe('sendKeys', () => {
   let testServer;
   
   before(async () => {
@@ -361,6 +461,23 @@ describe('stopProcess', () => {
     testServer.close();
   });
   
+  // Helper to start a background process and return its sessionId
+  async function startBackground(cmd, args) {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd, args }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    return response.result.structuredContent.sessionId;
+  }
+  
   it('should return error for non-existent session', async () => {
     const requestId = randomUUID();
     
@@ -369,10 +486,8 @@ describe('stopProcess', () => {
       id: requestId,
       method: 'tools/call',
       params: {
-        name: 'stopProcess',
-        arguments: {
-          sessionId: 'non-existent'
-        }
+        name: 'sendKeys',
+        arguments: { sessionId: 'non-existent-id', keys: ['Enter'] }
       }
     });
     
@@ -382,105 +497,161 @@ describe('stopProcess', () => {
     assert.match(response.result.structuredContent.error, /not found/i);
   });
   
-  it('should stop running process', async () => {
-    // Start long-running process
-    const startId = randomUUID();
+  it('should return error for a session that has exited', async () => {
+    const sessionId = await startBackground('true', []);
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const requestId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
-      id: startId,
+      id: requestId,
       method: 'tools/call',
       params: {
-        name: 'startProcessBackground',
-        arguments: {
-          cmd: 'sleep',
-          args: ['10']
-        }
+        name: 'sendKeys',
+        arguments: { sessionId, keys: ['Enter'] }
       }
     });
     
-    const startResponse = await testServer.waitForResponse(startId);
-    const sessionId = startResponse.result.structuredContent.sessionId;
+    const response = await testServer.waitForResponse(requestId);
     
-    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.strictEqual(response.result.structuredContent.error, 'Session is not running');
+  });
+  
+  it('should translate named keys mixed with literal text', async () => {
+    const sessionId = await startBackground('bash', ['-c', 'stty -echo; read -r line; printf "got:%q\\n" "$line"']);
     
-    // Stop process
-    const stopId = randomUUID();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const keysId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
-      id: stopId,
+      id: keysId,
       method: 'tools/call',
       params: {
-        name: 'stopProcess',
-        arguments: { sessionId }
+        name: 'sendKeys',
+        arguments: { sessionId, keys: ['ab', 'Tab', { text: 'Enter' }, 'Escape', 'Enter'], delayMs: 20 }
       }
     });
     
-    const stopResponse = await testServer.waitForResponse(stopId);
+    const keysResponse = await testServer.waitForResponse(keysId);
+    assert.strictEqual(keysResponse.result.structuredContent.ok, true);
+    assert.strictEqual(keysResponse.result.structuredContent.sent, 5);
     
-    assert.strictEqual(stopResponse.result.structuredContent.ok, true);
-    assert.strictEqual(stopResponse.result.structuredContent.killed, true);
+    const waitId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: waitId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'got:\\S+', timeoutMs: 3000 }
+      }
+    });
     
-    // Verify session is stopped
-    await new Promise(resolve => setTimeout(resolve, 200));
+    const waitResponse = await testServer.waitForResponse(waitId);
+    assert.strictEqual(waitResponse.result.structuredContent.match, "got:$'ab\\tEnter\\E'");
+  });
+  
+  it('should send an empty key as empty text', async () => {
+    const sessionId = await startBackground('bash', ['-c', 'stty -echo; read -r line; printf "got:[%s]\\n" "$line"']);
     
-    const listId = randomUUID();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const keysId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
-      id: listId,
+      id: keysId,
       method: 'tools/call',
       params: {
-        name: 'listSessions',
-        arguments: {}
+        name: 'sendKeys',
+        arguments: { sessionId, keys: ['x', '', 'Enter'] }
       }
     });
     
-    const listResponse = await testServer.waitForResponse(listId);
-    const session = listResponse.result.structuredContent.sessions.find(s => s.sessionId === sessionId);
+    const keysResponse = await testServer.waitForResponse(keysId);
+    assert.strictEqual(keysResponse.result.isError, undefined);
+    assert.strictEqual(keysResponse.result.structuredContent.ok, true);
+    assert.strictEqual(keysResponse.result.structuredContent.sent, 3);
     
-    assert.strictEqual(session.isRunning, false);
+    const waitId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: waitId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'got:\\[\\w*\\]', timeoutMs: 3000 }
+      }
+    });
+    
+    const waitResponse = await testServer.waitForResponse(waitId);
+    assert.strictEqual(waitResponse.result.structuredContent.match, 'got:[x]');
   });
   
-  it('should be able to stop already finished process', async () => {
-    // Start quick process
-    const startId = randomUUID();
+  it('should interrupt process with C-c', async () => {
+    const sessionId = await startBackground('sleep', ['10']);
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const keysId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
-      id: startId,
+      id: keysId,
       method: 'tools/call',
       params: {
-        name: 'startProcessBackground',
-        arguments: {
-          cmd: 'echo',
-          args: ['test']
-        }
+        name: 'sendKeys',
+        arguments: { sessionId, keys: 'C-c' }
       }
     });
     
-    const startResponse = await testServer.waitForResponse(startId);
-    const sessionId = startResponse.result.structuredContent.sessionId;
-    
-    // Wait for completion
+    await testServer.waitForResponse(keysId);
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    // Try to stop (should succeed even though already finished)
-    const stopId = randomUUID();
+    const outputId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
-      id: stopId,
+      id: outputId,
       method: 'tools/call',
       params: {
-        name: 'stopProcess',
+        name: 'getSessionOutput',
         arguments: { sessionId }
       }
     });
     
-    const stopResponse = await testServer.waitForResponse(stopId);
+    const result = (await testServer.waitForResponse(outputId)).result.structuredContent;
+    assert.strictEqual(result.isRunning, false);
+    assert.strictEqual(result.exitSignal, 'SIGINT');
+  });
+});
+
+describe('writeInputAndWait', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
     
-    assert.strictEqual(stopResponse.result.structuredContent.ok, true);
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
   });
   
-  it('should preserve session data after stopping', async () => {
-    // Start process with output
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to start a small prompt loop (or the given script) and return its sessionId
+  async function startRepl(script = 'while read -r -p "> " l; do sleep 0.2; echo "result: $l"; done') {
     const startId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
@@ -488,54 +659,617 @@ describe('stopProcess', () => {
       method: 'tools/call',
       params: {
         name: 'startProcessBackground',
-        arguments: {
-          cmd: 'bash',
-          args: ['-c', 'echo Before stop; sleep 10']
-        }
+        arguments: { cmd: 'bash', args: ['-c', script] }
       }
     });
     
-    const startResponse = await testServer.waitForResponse(startId);
-    const sessionId = startResponse.result.structuredContent.sessionId;
-    
+    const response = await testServer.waitForResponse(startId);
     await new Promise(resolve => setTimeout(resolve, 300));
-    
-    // Stop process
-    const stopId = randomUUID();
+    return response.result.structuredContent.sessionId;
+  }
+  
+  // Helper to call writeInputAndWait and return its structured result
+  async function writeAndWait(args) {
+    const requestId = randomUUID();
     testServer.send({
       jsonrpc: '2.0',
-      id: stopId,
+      id: requestId,
       method: 'tools/call',
       params: {
-        name: 'stopProcess',
-        arguments: { sessionId }
+        name: 'writeInputAndWait',
+        arguments: args
       }
     });
     
-    await testServer.waitForResponse(stopId);
-    await new Promise(resolve => setTimeout(resolve, 200));
+    const response = await testServer.waitForResponse(requestId);
+    return response.result.structuredContent;
+  }
+  
+  it('should return error for non-existent session', async () => {
+    const result = await writeAndWait({ sessionId: 'non-existent-id', data: 'x\r' });
     
-    // Get output (should still be accessible)
-    const outputId = randomUUID();
-    testServer.send({
-      jsonrpc: '2.0',
-      id: outputId,
-      method: 'tools/call',
-      params: {
-        name: 'getSessionOutput',
-        arguments: { sessionId }
-      }
-    });
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /not found/i);
+  });
+  
+  it('should return only the response up to the prompt', async () => {
+    const sessionId = await startRepl();
     
-    const outputResponse = await testServer.waitForResponse(outputId);
+    const first = await writeAndWait({ sessionId, data: 'hello\r', pattern: '^> $', flags: 'm' });
+    assert.strictEqual(first.ok, true);
+    assert.strictEqual(first.status, 'matched');
+    assert.strictEqual(first.output, 'result: hello\r\n> ');
     
-    assert.strictEqual(outputResponse.result.structuredContent.ok, true);
+    const second = await writeAndWait({ sessionId, data: 'world\r', pattern: '^> $', flags: 'm' });
+    assert.strictEqual(second.output, 'result: world\r\n> ');
+    assert.ok(second.nextSeq > first.nextSeq);
+  });
+  
+  it('should return once output goes quiet', async () => {
+    const sessionId = await startRepl();
     
-    const stdout = outputResponse.result.structuredContent.output
-      .filter(o => o.type === 'stdout')
-      .map(o => o.data)
-      .join('');
+    const result = await writeAndWait({ sessionId, data: 'quiet\r', quietMs: 400 });
     
-    assert.match(stdout, /Before stop/);
+    assert.strictEqual(result.status, 'quiet');
+    assert.match(result.output, /result: quiet/);
+  });
+  
+  it('should return unterminated output once output goes quiet', async () => {
+    const sessionId = await startRepl('read x; printf "answer$x"; sleep 5');
+    
+    const result = await writeAndWait({ sessionId, data: 'hi\r' });
+    
+    assert.strictEqual(result.status, 'quiet');
+    assert.strictEqual(result.output, 'answerhi');
+  });
+  
+  it('should not go quiet while the start of a token is held back for redaction', async () => {
+    const sessionId = await startRepl('read x; printf "key: sk-$x"; sleep 5');
+    
+    const result = await writeAndWait({ sessionId, data: 'abc\r', quietMs: 200 });
+    
+    assert.strictEqual(result.status, 'quiet');
+    assert.strictEqual(result.output, 'key: sk-abc');
+  });
+  
+  it('should time out when the pattern never appears', async () => {
+    const sessionId = await startRepl();
+    
+    const result = await writeAndWait({ sessionId, data: 'x\r', pattern: 'never printed', timeoutMs: 500 });
+    
+    assert.strictEqual(result.matched, false);
+    assert.strictEqual(result.status, 'timeout');
+    assert.match(result.output, /result: x/);
+  });
+});
+
+describe('stopProcess', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  it('should return error for non-existent session', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: {
+          sessionId: 'non-existent'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.match(response.result.structuredContent.error, /not found/i);
+  });
+  
+  it('should stop running process', async () => {
+    // Start long-running process
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'sleep',
+          args: ['10']
+        }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    // Stop process
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId }
+      }
+    });
+    
+    const stopResponse = await testServer.waitForResponse(stopId);
+    
+    assert.strictEqual(stopResponse.result.structuredContent.ok, true);
+    assert.strictEqual(stopResponse.result.structuredContent.killed, true);
+    
+    // Verify session is stopped
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    const listId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: listId,
+      method: 'tools/call',
+      params: {
+        name: 'listSessions',
+        arguments: {}
+      }
+    });
+    
+    const listResponse = await testServer.waitForResponse(listId);
+    const session = listResponse.result.structuredContent.sessions.find(s => s.sessionId === sessionId);
+    
+    assert.strictEqual(session.isRunning, false);
+  });
+  
+  it('should be able to stop already finished process', async () => {
+    // Start quick process
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'echo',
+          args: ['test']
+        }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    // Wait for completion
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    // Try to stop (should succeed even though already finished)
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId }
+      }
+    });
+    
+    const stopResponse = await testServer.waitForResponse(stopId);
+    
+    assert.strictEqual(stopResponse.result.structuredContent.ok, true);
+  });
+  
+  it('should preserve session data after stopping', async () => {
+    // Start process with output
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'echo Before stop; sleep 10']
+        }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    // Stop process
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId }
+      }
+    });
+    
+    await testServer.waitForResponse(stopId);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    // Get output (should still be accessible)
+    const outputId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: outputId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId }
+      }
+    });
+    
+    const outputResponse = await testServer.waitForResponse(outputId);
+    
+    assert.strictEqual(outputResponse.result.structuredContent.ok, true);
+    
+    const stdout = outputResponse.result.structuredContent.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    
+    assert.match(stdout, /Before stop/);
+  });
+  
+  it('should report exit status after stopping', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'sleep', args: ['10'] }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId, signal: 'SIGTERM' }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(stopId)).result.structuredContent;
+    
+    assert.strictEqual(result.killed, true);
+    assert.strictEqual(result.signal, 'SIGTERM');
+    assert.strictEqual(result.escalated, false);
+    assert.strictEqual(result.exitSignal, 'SIGTERM');
+  });
+  
+  it('should escalate to SIGKILL when process ignores the signal', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'trap "" TERM HUP; echo trapped; while true; do sleep 0.1; done']
+        }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId, signal: 'SIGTERM', gracePeriodMs: 500 }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(stopId)).result.structuredContent;
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.killed, true);
+    assert.strictEqual(result.escalated, true);
+    assert.strictEqual(result.exitSignal, 'SIGKILL');
+  });
+  
+  it('should not report killed for already finished process', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args: ['-c', 'exit 4'] }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(stopId)).result.structuredContent;
+    
+    assert.strictEqual(result.killed, false);
+    assert.strictEqual(result.alreadyExited, true);
+    assert.strictEqual(result.exitCode, 4);
+  });
+});
+
+describe('sendSignal', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  it('should return error for non-existent session', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'sendSignal',
+        arguments: { sessionId: 'non-existent-id', signal: 'SIGINT' }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.match(response.result.structuredContent.error, /not found/i);
+  });
+  
+  it('should deliver signal to running process', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'trap "echo got usr1" USR1; echo waiting; while true; do sleep 0.1; done']
+        }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const signalId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: signalId,
+      method: 'tools/call',
+      params: {
+        name: 'sendSignal',
+        arguments: { sessionId, signal: 'SIGUSR1' }
+      }
+    });
+    
+    const signalResponse = await testServer.waitForResponse(signalId);
+    assert.strictEqual(signalResponse.result.structuredContent.ok, true);
+    assert.strictEqual(signalResponse.result.structuredContent.isRunning, true);
+    
+    const waitId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: waitId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'got usr1', timeoutMs: 3000 }
+      }
+    });
+    
+    const waitResponse = await testServer.waitForResponse(waitId);
+    assert.strictEqual(waitResponse.result.structuredContent.matched, true);
+  });
+});
+
+describe('getProcessTree', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to check whether a pid still exists (zombies waiting to be reaped count as dead)
+  function isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+    } catch {
+      return false;
+    }
+    try {
+      return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch {
+      return true;
+    }
+  }
+  
+  it('should list descendants of the session leader', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args: ['-c', 'sleep 30 & sleep 31; wait'] }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const { sessionId, pid } = startResponse.result.structuredContent;
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const treeId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: treeId,
+      method: 'tools/call',
+      params: {
+        name: 'getProcessTree',
+        arguments: { sessionId }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(treeId)).result.structuredContent;
+    
+    assert.strictEqual(result.ok, true);
+    assert.ok(result.processes.some(p => p.pid === pid));
+    assert.ok(result.processes.some(p => p.command === 'sleep 30' && p.ppid === pid));
+    assert.ok(result.processes.some(p => p.command === 'sleep 31' && p.ppid === pid));
+  });
+  
+  it('should stop orphaned grandchildren with stopProcess', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args: ['-c', '(sleep 30 & echo "child=$!"); sleep 30'] }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    const waitId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: waitId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'child=(\\d+)', timeoutMs: 3000 }
+      }
+    });
+    
+    const waitResult = (await testServer.waitForResponse(waitId)).result.structuredContent;
+    const childPid = Number(waitResult.match.split('=')[1]);
+    assert.ok(isAlive(childPid));
+    
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: {
+        name: 'stopProcess',
+        arguments: { sessionId, signal: 'SIGTERM' }
+      }
+    });
+    
+    const stopResult = (await testServer.waitForResponse(stopId)).result.structuredContent;
+    
+    assert.strictEqual(stopResult.ok, true);
+    assert.strictEqual(stopResult.killed, true);
+    assert.strictEqual(stopResult.survivors, undefined);
+    assert.strictEqual(isAlive(childPid), false);
   });
 });
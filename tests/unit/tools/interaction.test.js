@@ -0,0 +1,241 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+/**
+ * Unit tests for scripted interaction:
+ * - runInteraction
+ * 
+ * These tests verify:
+ * - Expect/send steps against a started command
+ * - Branches for alternative prompts
+ * - Failed step reporting on timeout and exit
+ */
+
+// Helper to create test MCP server
+function createTestServer() {
+  const server = spawn('node', ['bg-server-mcp-shell.js'], {
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  
+  let responseBuffer = '';
+  const responses = [];
+  
+  server.stdout.on('data', (data) => {
+    responseBuffer += data.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          responses.push(JSON.parse(line));
+        } catch (e) {
+          // Skip non-JSON lines
+        }
+      }
+    }
+  });
+  
+  return {
+    server,
+    responses,
+    send: (request) => {
+      server.stdin.write(JSON.stringify(request) + '\n');
+    },
+    waitForResponse: (id, timeoutMs = 5000) => {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error(`Timeout waiting for response with id ${id}`));
+        }, timeoutMs);
+        
+        const check = () => {
+          const response = responses.find(r => r.id === id);
+          if (response) {
+            clearTimeout(timeout);
+            resolve(response);
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    },
+    close: () => {
+      server.kill();
+    }
+  };
+}
+
+describe('runInteraction', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to call runInteraction and return its structured result
+  async function runInteraction(args, timeoutMs = 10000) {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'runInteraction',
+        arguments: args
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, timeoutMs);
+    return response.result.structuredContent;
+  }
+  
+  const promptScript = 'read -p "Name: " n; read -p "Color: " c; echo "Hello $n, you like $c"; sleep 1';
+  
+  it('should answer prompts in order', async () => {
+    const result = await runInteraction({
+      cmd: 'bash',
+      args: ['-c', promptScript],
+      steps: [
+        { expect: 'Name: ', send: 'alice\r' },
+        { expect: 'Color: ', send: 'blue\r' },
+        { expect: 'you like (\\w+)' }
+      ]
+    });
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.completed, true);
+    assert.ok(result.sessionId);
+    assert.match(result.output, /Hello alice, you like blue/);
+    assert.deepStrictEqual(
+      result.transcript.filter(e => e.type === 'send').map(e => e.data),
+      ['alice\r', 'blue\r']
+    );
+  });
+  
+  it('should follow branches for alternative prompts', async () => {
+    const result = await runInteraction({
+      cmd: 'bash',
+      args: ['-c', 'read -p "Overwrite? " a; echo "answer=$a"; read -p "Name: " n; echo "name=$n"; sleep 1'],
+      steps: [
+        {
+          expect: 'Name: ',
+          send: 'bob\r',
+          branches: [{ expect: 'Overwrite\\? ', send: 'y\r' }]
+        },
+        { expect: 'name=bob' }
+      ]
+    });
+    
+    assert.strictEqual(result.completed, true);
+    assert.match(result.output, /answer=y/);
+    assert.match(result.output, /name=bob/);
+  });
+  
+  it('should work with an existing session and keys', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args: ['-c', 'sleep 0.5; read -p "Continue? " a; echo "got [$a]"; sleep 1'] }
+      }
+    });
+    const started = await testServer.waitForResponse(startId);
+    const sessionId = started.result.structuredContent.sessionId;
+    
+    const result = await runInteraction({
+      sessionId,
+      steps: [
+        { expect: 'Continue\\? ', send: 'yes', keys: ['Enter'] },
+        { expect: 'got \\[yes\\]' }
+      ]
+    });
+    
+    assert.strictEqual(result.sessionId, sessionId);
+    assert.strictEqual(result.completed, true);
+  });
+  
+  it('should report the failed step on timeout', async () => {
+    const result = await runInteraction({
+      cmd: 'bash',
+      args: ['-c', promptScript],
+      steps: [
+        { label: 'name', expect: 'Name: ', send: 'carol\r' },
+        { label: 'password', expect: 'Password: ', timeoutMs: 500 }
+      ]
+    });
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.completed, false);
+    assert.strictEqual(result.failedStep, 1);
+    assert.strictEqual(result.failedLabel, 'password');
+    assert.match(result.reason, /Timeout/);
+  });
+  
+  it('should skip optional steps and stop on failure branches', async () => {
+    const result = await runInteraction({
+      cmd: 'bash',
+      args: ['-c', 'echo "Error: permission denied"; sleep 2'],
+      steps: [
+        { expect: 'Banner', optional: true, timeoutMs: 300 },
+        { expect: 'Name: ', branches: [{ expect: 'Error: .*', fail: true }] }
+      ]
+    });
+    
+    assert.strictEqual(result.completed, false);
+    assert.strictEqual(result.failedStep, 1);
+    assert.match(result.reason, /failure branch/);
+    assert.ok(result.transcript.some(e => e.step === 0 && e.type === 'timeout'));
+  });
+  
+  it('should report process exit while waiting', async () => {
+    const result = await runInteraction({
+      cmd: 'bash',
+      args: ['-c', 'echo done'],
+      steps: [{ expect: 'never printed' }]
+    });
+    
+    assert.strictEqual(result.completed, false);
+    assert.match(result.reason, /exited/);
+  });
+  
+  it('should reject unknown goto targets and missing sessions', async () => {
+    const invalid = await runInteraction({
+      cmd: 'bash',
+      args: ['-c', 'echo hi'],
+      steps: [{ expect: 'x', branches: [{ expect: 'y', goto: 'nowhere' }] }]
+    });
+    assert.strictEqual(invalid.ok, false);
+    assert.match(invalid.error, /Unknown goto target/);
+    
+    const missing = await runInteraction({
+      sessionId: 'non-existent-session',
+      steps: [{ send: 'x' }]
+    });
+    assert.strictEqual(missing.ok, false);
+    assert.strictEqual(missing.error, 'Session not found');
+  });
+});
@@ -0,0 +1,247 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+
+/**
+ * Unit tests for server logging:
+ * - LOG_LEVEL, LOG_FILE and rotation
+ * - logging/setLevel
+ * 
+ * These tests verify:
+ * - Structured JSON log lines with tool, sessionId and durationMs
+ * - Output chunks traced only at trace level
+ * - Log file rotation at LOG_MAX_BYTES
+ * - Log notifications enabled by logging/setLevel
+ */
+
+// Helper to create test MCP server with extra environment variables, collecting its stderr log
+function createTestServer(env = {}) {
+  const server = spawn('node', ['bg-server-mcp-shell.js'], {
+    cwd: process.cwd(),
+    env: { ...process.env, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  
+  let responseBuffer = '';
+  const responses = [];
+  const logs = [];
+  let logBuffer = '';
+  
+  server.stdout.on('data', (data) => {
+    responseBuffer += data.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          responses.push(JSON.parse(line));
+        } catch (e) {
+          // Skip non-JSON lines
+        }
+      }
+    }
+  });
+  
+  server.stderr.on('data', (data) => {
+    logBuffer += data.toString();
+    const lines = logBuffer.split('\n');
+    logBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) logs.push(line);
+    }
+  });
+  
+  return {
+    server,
+    responses,
+    logs,
+    send: (request) => {
+      server.stdin.write(JSON.stringify(request) + '\n');
+    },
+    waitForResponse: (id, timeoutMs = 5000) => {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error(`Timeout waiting for response with id ${id}`));
+        }, timeoutMs);
+        
+        const check = () => {
+          const response = responses.find(r => r.id === id);
+          if (response) {
+            clearTimeout(timeout);
+            resolve(response);
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    },
+    close: () => {
+      server.kill();
+    }
+  };
+}
+
+// Helper to start a server with the given environment and initialize it
+async function startServer(env) {
+  const testServer = createTestServer(env);
+  
+  testServer.send({
+    jsonrpc: '2.0',
+    id: 'init',
+    method: 'initialize',
+    params: {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test-client', version: '1.0.0' }
+    }
+  });
+  
+  await testServer.waitForResponse('init');
+  return testServer;
+}
+
+// Helper to run a command with startProcessAndWait
+async function runCommand(testServer, args) {
+  const requestId = randomUUID();
+  
+  testServer.send({
+    jsonrpc: '2.0',
+    id: requestId,
+    method: 'tools/call',
+    params: { name: 'startProcessAndWait', arguments: args }
+  });
+  
+  const response = await testServer.waitForResponse(requestId);
+  return response.result.structuredContent;
+}
+
+// Helper to wait until the server wrote pending log lines
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 200));
+}
+
+describe('server logging - defaults', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = await startServer({ LOG_LEVEL: '' });
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  it('should log tool calls as JSON lines without output chunks', async () => {
+    const result = await runCommand(testServer, { cmd: 'echo', args: ['chunk-not-logged'] });
+    await settle();
+    
+    const records = testServer.logs.map(line => JSON.parse(line));
+    const call = records.find(r => r.tool === 'startProcessAndWait');
+    
+    assert.strictEqual(call.level, 'info');
+    assert.strictEqual(call.sessionId, result.sessionId);
+    assert.strictEqual(typeof call.durationMs, 'number');
+    assert.ok(call.time);
+    assert.ok(records.some(r => r.message === 'Process exited' && r.sessionId === result.sessionId));
+    assert.ok(!testServer.logs.some(line => line.includes('chunk-not-logged')));
+  });
+  
+  it('should log failed tool calls as warnings with the error code', async () => {
+    const result = await runCommand(testServer, { cmd: 'definitely-not-a-command-xyz' });
+    await settle();
+    
+    const call = testServer.logs
+      .map(line => JSON.parse(line))
+      .find(r => r.tool === 'startProcessAndWait' && r.errorCode === 'ENOENT_COMMAND');
+    
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(call.level, 'warn');
+    assert.strictEqual(call.ok, false);
+  });
+  
+  it('should send log notifications only after logging/setLevel', async () => {
+    const before = await runCommand(testServer, { cmd: 'echo', args: ['before-set-level'] });
+    await settle();
+    assert.ok(!testServer.responses.some(r =>
+      r.method === 'notifications/message' && r.params.data.sessionId === before.sessionId
+    ));
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'set-level',
+      method: 'logging/setLevel',
+      params: { level: 'debug' }
+    });
+    await testServer.waitForResponse('set-level');
+    
+    const after = await runCommand(testServer, { cmd: 'sh', args: ['-c', 'echo traced-chunk; sleep 0.3'] });
+    await settle();
+    
+    const messages = testServer.responses.filter(r =>
+      r.method === 'notifications/message' && r.params.data.sessionId === after.sessionId
+    );
+    const chunk = messages.find(m => m.params.data.message === 'Output');
+    
+    assert.strictEqual(chunk.params.level, 'debug');
+    assert.match(chunk.params.data.output, /traced-chunk/);
+    assert.ok(messages.some(m => m.params.data.tool === 'startProcessAndWait' && m.params.level === 'info'));
+    // The stderr log level is independent of the client level
+    assert.ok(!testServer.logs.some(line => line.includes('traced-chunk')));
+  });
+});
+
+describe('server logging - LOG_LEVEL and LOG_FILE', () => {
+  let testServer;
+  let logDir;
+  
+  before(async () => {
+    logDir = fs.mkdtempSync('/tmp/bg-server-log-');
+    testServer = await startServer({
+      LOG_LEVEL: 'trace',
+      LOG_FILE: `${logDir}/server.log`,
+      LOG_MAX_BYTES: '2000',
+      LOG_MAX_FILES: '2'
+    });
+  });
+  
+  after(() => {
+    testServer.close();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+  
+  it('should trace output chunks at trace level', async () => {
+    const result = await runCommand(testServer, { cmd: 'sh', args: ['-c', 'echo trace-me; sleep 0.3'] });
+    await settle();
+    
+    const chunk = testServer.logs
+      .map(line => JSON.parse(line))
+      .find(r => r.level === 'trace' && r.sessionId === result.sessionId);
+    
+    assert.strictEqual(chunk.message, 'Output');
+    assert.strictEqual(chunk.stream, 'stdout');
+    assert.match(chunk.output, /trace-me/);
+  });
+  
+  it('should write JSON lines to LOG_FILE and rotate it', async () => {
+    for (let i = 0; i < 8; i++) {
+      await runCommand(testServer, { cmd: 'echo', args: ['x'.repeat(200)] });
+    }
+    await settle();
+    
+    const files = fs.readdirSync(logDir).sort();
+    assert.deepStrictEqual(files, ['server.log', 'server.log.1']);
+    
+    for (const file of files) {
+      const text = fs.readFileSync(`${logDir}/${file}`, 'utf8');
+      assert.ok(Buffer.byteLength(text) <= 2000);
+      for (const line of text.trim().split('\n')) {
+        assert.ok(JSON.parse(line).level);
+      }
+    }
+  });
+});
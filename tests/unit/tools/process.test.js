@@ -2,6 +2,7 @@ import { describe, it, before, after, mock } from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
+import fs from 'fs';
 
 /**
  * Unit tests for startProcessAndWait and startProcessBackground
@@ -12,6 +13,14 @@ import { randomUUID } from 'crypto';
  * - Exit code capture
  * - Output buffering
  * - Session creation and tracking
+ * - Shell command lines with quoted arguments
+ * - Pipe mode with separate stdout and stderr
+ * - stdin input followed by EOF
+ * - Output truncation (maxOutputChars, headLines/tailLines)
+ * - Plain text response format
+ * - Detaching timed out processes into sessions
+ * - Environment files, profiles and isolation
+ * - Secret redaction in returned output, session buffers and logs
  */
 
 // Helper to create a test MCP server instance
@@ -169,6 +178,64 @@ describe('startProcessAndWait', () => {
     assert.match(response.result.structuredContent.error, /timeout/i);
   });
   
+  it('should detach a timed out process into a background session', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'echo first; sleep 1.5; echo second; sleep 0.5'],
+          timeoutMs: 700,
+          onTimeout: 'detach'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.detached, true);
+    assert.ok(result.output.some(o => o.type === 'stdout' && o.data.includes('first')));
+    
+    const waitId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: waitId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId: result.sessionId, pattern: 'second', timeoutMs: 3000 }
+      }
+    });
+    
+    const waitResult = (await testServer.waitForResponse(waitId)).result.structuredContent;
+    assert.strictEqual(waitResult.matched, true);
+    
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    
+    const outputId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: outputId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId: result.sessionId, format: 'text' }
+      }
+    });
+    
+    const output = (await testServer.waitForResponse(outputId)).result.structuredContent;
+    assert.strictEqual(output.isRunning, false);
+    assert.strictEqual(output.exitCode, 0);
+    assert.strictEqual(output.text, 'first\nsecond\n');
+  });
+  
   it('should respect custom working directory', async () => {
     const requestId = randomUUID();
     
@@ -222,33 +289,63 @@ describe('startProcessAndWait', () => {
     
     assert.match(stdout, /test-value-123/);
   });
-});
-
-describe('startProcessBackground', () => {
-  let testServer;
   
-  before(async () => {
-    testServer = createTestServer();
+  it('should run a command line through a shell with quoted args', async () => {
+    const requestId = randomUUID();
     
     testServer.send({
       jsonrpc: '2.0',
-      id: 'init',
-      method: 'initialize',
+      id: requestId,
+      method: 'tools/call',
       params: {
-        protocolVersion: '2024-11-05',
-        capabilities: {},
-        clientInfo: { name: 'test-client', version: '1.0.0' }
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'echo one two | wc -w && printf "%s|" ',
+          args: ["it's", '$HOME', 'a b'],
+          shell: 'bash'
+        }
       }
     });
     
-    await testServer.waitForResponse('init');
+    const response = await testServer.waitForResponse(requestId);
+    
+    const stdout = response.result.structuredContent.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    
+    assert.strictEqual(response.result.structuredContent.exitCode, 0);
+    assert.match(stdout, /^2\r\n/);
+    assert.match(stdout, /it's\|\$HOME\|a b\|/);
   });
   
-  after(() => {
-    testServer.close();
+  it('should separate stdout and stderr in pipe mode', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'echo to-out; sleep 0.1; echo to-err >&2; [ -t 1 ] || echo no-tty'],
+          mode: 'pipe'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const output = response.result.structuredContent.output;
+    
+    const textOf = (type) => output.filter(o => o.type === type).map(o => o.data).join('');
+    assert.strictEqual(textOf('stdout'), 'to-out\nno-tty\n');
+    assert.strictEqual(textOf('stderr'), 'to-err\n');
+    assert.strictEqual(response.result.structuredContent.exitCode, 0);
   });
   
-  it('should start process in background and return sessionId', async () => {
+  it('should return non-UTF-8 output as base64 in pipe mode', async () => {
     const requestId = randomUUID();
     
     testServer.send({
@@ -256,43 +353,1003 @@ describe('startProcessBackground', () => {
       id: requestId,
       method: 'tools/call',
       params: {
-        name: 'startProcessBackground',
+        name: 'startProcessAndWait',
         arguments: {
-          cmd: 'sleep',
-          args: ['2']
+          cmd: 'printf',
+          args: ['\\000\\377\\376'],
+          mode: 'pipe'
         }
       }
     });
     
     const response = await testServer.waitForResponse(requestId);
+    const chunks = response.result.structuredContent.output.filter(o => o.type === 'stdout');
+    
+    assert.ok(chunks.every(o => o.encoding === 'base64'));
+    const bytes = Buffer.concat(chunks.map(o => Buffer.from(o.data, 'base64')));
+    assert.deepStrictEqual([...bytes], [0x00, 0xff, 0xfe]);
+  });
+  
+  it('should feed stdin followed by EOF in a PTY', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'wc',
+          args: ['-c'],
+          stdin: 'abc',
+          timeoutMs: 5000
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    
+    const stdout = response.result.structuredContent.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
     
     assert.strictEqual(response.result.structuredContent.ok, true);
-    assert.ok(response.result.structuredContent.sessionId);
-    assert.ok(response.result.structuredContent.pid > 0);
+    assert.match(stdout, /3\r\n$/);
   });
   
-  it('should start process without blocking', async () => {
+  it('should feed base64 stdin and stdinFile in pipe mode', async () => {
+    const base64Id = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: base64Id,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'od',
+          args: ['-An', '-tx1'],
+          stdin: Buffer.from([0x00, 0xff, 0x0a]).toString('base64'),
+          stdinEncoding: 'base64',
+          mode: 'pipe'
+        }
+      }
+    });
+    
+    const base64Response = await testServer.waitForResponse(base64Id);
+    const hex = base64Response.result.structuredContent.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    assert.strictEqual(hex.trim(), '00 ff 0a');
+    
+    const fileId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: fileId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'cat',
+          stdinFile: 'package.json',
+          mode: 'pipe'
+        }
+      }
+    });
+    
+    const fileResponse = await testServer.waitForResponse(fileId);
+    const text = fileResponse.result.structuredContent.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    assert.match(text, /"name": "bg-server-mcp-shell"/);
+  });
+  
+  it('should reject unreadable stdinFile before spawning', async () => {
     const requestId = randomUUID();
-    const startTime = Date.now();
     
     testServer.send({
       jsonrpc: '2.0',
       id: requestId,
       method: 'tools/call',
       params: {
-        name: 'startProcessBackground',
+        name: 'startProcessAndWait',
         arguments: {
-          cmd: 'sleep',
-          args: ['5']
+          cmd: 'cat',
+          stdinFile: 'does-not-exist.txt'
         }
       }
     });
     
     const response = await testServer.waitForResponse(requestId);
-    const duration = Date.now() - startTime;
     
-    // Should return immediately, not wait for 5 seconds
-    assert.ok(duration < 2000, `Should return quickly, but took ${duration}ms`);
-    assert.strictEqual(response.result.structuredContent.ok, true);
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.match(response.result.structuredContent.error, /ENOENT/);
+    assert.strictEqual(response.result.structuredContent.sessionId, undefined);
+  });
+  
+  it('should bound large output to the default budget', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'seq',
+          args: ['1', '20000'],
+          mode: 'pipe'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    const stdout = result.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    
+    assert.strictEqual(result.truncated, true);
+    assert.strictEqual(result.totalBytes, 108894);
+    assert.ok(stdout.length <= 20000);
+    assert.ok(stdout.startsWith('1\n2\n'));
+    assert.ok(stdout.endsWith('19999\n20000\n'));
+    assert.strictEqual(result.output.filter(o => o.type === 'truncated').length, 1);
+    assert.ok(result.omittedLines > 15000);
+    assert.strictEqual(result.output.at(-1).type, 'exit');
+  });
+  
+  it('should merge many small chunks so the response stays near the budget', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'sh',
+          args: ['-c', 'i=0; while [ $i -lt 3000 ]; do echo $i; i=$((i+1)); done'],
+          mode: 'pipe',
+          maxOutputChars: 2000
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.truncated, true);
+    // One stdout entry before and one after the truncation marker, plus the exit entry
+    assert.deepStrictEqual(result.output.map(o => o.type), ['stdout', 'truncated', 'stdout', 'exit']);
+    assert.ok(JSON.stringify(result.output).length < 2000 * 1.5);
+  });
+  
+  it('should return only headLines and tailLines and save the full output', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'seq',
+          args: ['1', '100'],
+          mode: 'pipe',
+          headLines: 2,
+          tailLines: 3,
+          fullOutputFile: true
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    const stdout = result.output
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    
+    assert.strictEqual(stdout, '1\n2\n98\n99\n100\n');
+    assert.strictEqual(result.truncated, true);
+    assert.strictEqual(result.omittedLines, 95);
+    
+    const full = fs.readFileSync(result.fullOutputPath, 'utf8');
+    assert.strictEqual(full.split('\n').length, 101);
+    fs.unlinkSync(result.fullOutputPath);
+  });
+  
+  it('should return plain text with format text', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'printf "\\033[1mbold\\033[0m\\n"; printf "1/3\\r2/3\\r3/3\\n"; sleep 0.5; exit 3'],
+          format: 'text'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result;
+    
+    assert.strictEqual(result.structuredContent.text, 'bold\n3/3\n');
+    assert.strictEqual(result.structuredContent.exitCode, 3);
+    assert.strictEqual(result.structuredContent.output, undefined);
+    assert.strictEqual(result.content[0].text, '[status=exited exitCode=3 success=false]\nbold\n3/3\n');
+  });
+  
+  it('should send progress notifications when a progress token is given', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'echo building; sleep 1.5'],
+          progressIntervalMs: 300
+        },
+        _meta: { progressToken: requestId }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    const progress = testServer.responses.filter(r =>
+      r.method === 'notifications/progress' && r.params.progressToken === requestId
+    );
+    assert.ok(progress.length >= 2);
+    assert.match(progress[0].params.message, /elapsed/);
+    assert.ok(progress.some(p => p.params.message.includes('building')));
+    assert.strictEqual(response.result.structuredContent.exitCode, 0);
+  });
+  
+  it('should mirror output as log messages with logOutput', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'echo',
+          args: ['log mirror test'],
+          logOutput: true
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const sessionId = response.result.structuredContent.sessionId;
+    
+    const messages = testServer.responses.filter(r =>
+      r.method === 'notifications/message' && r.params.data.sessionId === sessionId
+    );
+    assert.ok(messages.some(m => m.params.data.output.includes('log mirror test')));
+  });
+  
+  it('should report a missing command as ENOENT_COMMAND', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'definitely-not-a-command-xyz'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.errorCode, 'ENOENT_COMMAND');
+    assert.strictEqual(result.sessionId, undefined);
+  });
+  
+  it('should report a missing cwd as ENOENT_CWD', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'pwd',
+          cwd: '/tmp/does-not-exist-xyz'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.errorCode, 'ENOENT_CWD');
+  });
+  
+  it('should report a non-executable file as EACCES', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: './README.md'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.errorCode, 'EACCES');
+  });
+  
+  it('should classify exit codes with expectedExitCodes', async () => {
+    const failId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: failId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'sh',
+          args: ['-c', 'exit 1']
+        }
+      }
+    });
+    
+    const failResult = (await testServer.waitForResponse(failId)).result.structuredContent;
+    assert.strictEqual(failResult.ok, true);
+    assert.strictEqual(failResult.exitCode, 1);
+    assert.strictEqual(failResult.success, false);
+    
+    const expectedId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: expectedId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'sh',
+          args: ['-c', 'exit 1'],
+          expectedExitCodes: [0, 1]
+        }
+      }
+    });
+    
+    const expectedResult = (await testServer.waitForResponse(expectedId)).result.structuredContent;
+    assert.strictEqual(expectedResult.exitCode, 1);
+    assert.strictEqual(expectedResult.success, true);
+  });
+  
+  it('should report signal names and SIGNALED for killed processes', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: {
+          cmd: 'sh',
+          args: ['-c', 'kill -SEGV $$'],
+          mode: 'pipe'
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.exitSignal, 'SIGSEGV');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.errorCode, 'SIGNALED');
+    assert.match(result.error, /SIGSEGV/);
+  });
+});
+
+describe('startProcessBackground', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  it('should start process in background and return sessionId', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'sleep',
+          args: ['2']
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    assert.strictEqual(response.result.structuredContent.ok, true);
+    assert.ok(response.result.structuredContent.sessionId);
+    assert.ok(response.result.structuredContent.pid > 0);
+  });
+  
+  it('should start process without blocking', async () => {
+    const requestId = randomUUID();
+    const startTime = Date.now();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'sleep',
+          args: ['5']
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const duration = Date.now() - startTime;
+    
+    // Should return immediately, not wait for 5 seconds
+    assert.ok(duration < 2000, `Should return quickly, but took ${duration}ms`);
+    assert.strictEqual(response.result.structuredContent.ok, true);
+  });
+  
+  it('should record the command line of shell sessions in listSessions', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'sleep 2 && echo',
+          args: ['done now'],
+          shell: true
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const sessionId = response.result.structuredContent.sessionId;
+    
+    const listId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: listId,
+      method: 'tools/call',
+      params: {
+        name: 'listSessions',
+        arguments: {}
+      }
+    });
+    
+    const list = await testServer.waitForResponse(listId);
+    const session = list.result.structuredContent.sessions.find(s => s.sessionId === sessionId);
+    
+    assert.strictEqual(session.commandLine, "sleep 2 && echo 'done now'");
+    assert.strictEqual(session.shell, process.env.SHELL || '/bin/sh');
+    assert.deepStrictEqual(session.args, ['-c', "sleep 2 && echo 'done now'"]);
+  });
+  
+  it('should wait for readiness pattern', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'sleep 0.5; echo "Compiled successfully"; sleep 5'],
+          readiness: { pattern: 'Compiled successfully', timeoutMs: 5000 }
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.ready, true);
+    assert.ok(result.readyAfterMs >= 0);
+  });
+  
+  it('should wait for readiness port and http url', async () => {
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'node',
+          args: ['-e', `setTimeout(() => require('http').createServer((req, res) => res.end('ok')).listen(${port}), 300); setTimeout(() => {}, 5000)`],
+          readiness: { port, httpUrl: `http://127.0.0.1:${port}/`, timeoutMs: 5000 }
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ready, true);
+    assert.ok(result.readyAfterMs >= 0);
+  });
+  
+  it('should find a port listening on IPv6 loopback without a host', async () => {
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'node',
+          args: ['-e', `require('net').createServer().listen(${port}, '::1', () => console.log('up')); setTimeout(() => {}, 5000)`],
+          readiness: { port, timeoutMs: 3000 }
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 4000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ready, true);
+  });
+  
+  it('should report not ready with output tail when process exits', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'echo "Error: EADDRINUSE"; exit 1'],
+          readiness: { pattern: 'listening', timeoutMs: 5000 }
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ready, false);
+    assert.match(result.error, /exited/);
+    assert.ok(result.outputTail.some(line => line.includes('EADDRINUSE')));
+  });
+});
+
+describe('environment options', () => {
+  let testServer;
+  let envDir;
+  
+  // Helper to run a command in pipe mode and return its stdout
+  async function runEnv(args) {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessAndWait',
+        arguments: { mode: 'pipe', ...args }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    result.stdout = (result.output || [])
+      .filter(o => o.type === 'stdout')
+      .map(o => o.data)
+      .join('');
+    return result;
+  }
+  
+  before(async () => {
+    envDir = fs.mkdtempSync('/tmp/bg-server-env-');
+    fs.writeFileSync(`${envDir}/.env`, '# comment\nexport FROM_FILE="two words"\nQUOTED=\'$literal\'\nPLAIN=value # trailing comment\n');
+    fs.writeFileSync(`${envDir}/.env.local`, 'FROM_FILE=overridden\n');
+    
+    process.env.BG_TEST_SECRET = 'server-only';
+    process.env.ENV_PROFILES = JSON.stringify({
+      staging: { env: { STAGE: 'staging' }, unsetEnv: ['BG_TEST_SECRET'] },
+      isolated: { inheritEnv: false, allowEnv: ['BG_TEST_SECRET'] }
+    });
+    testServer = createTestServer();
+    delete process.env.ENV_PROFILES;
+    delete process.env.BG_TEST_SECRET;
+    
+    // Initialize server
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+    fs.rmSync(envDir, { recursive: true, force: true });
+  });
+  
+  it('should load envFile values with later files taking precedence', async () => {
+    const single = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "%s|%s|%s" "$FROM_FILE" "$QUOTED" "$PLAIN"'],
+      cwd: envDir,
+      envFile: '.env'
+    });
+    assert.strictEqual(single.stdout, 'two words|$literal|value');
+    
+    const layered = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "%s" "$FROM_FILE"'],
+      cwd: envDir,
+      envFile: ['.env', '.env.local']
+    });
+    assert.strictEqual(layered.stdout, 'overridden');
+  });
+  
+  it('should remove variables listed in unsetEnv', async () => {
+    const result = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "[%s]" "${BG_TEST_SECRET-unset}"'],
+      unsetEnv: ['BG_TEST_SECRET']
+    });
+    
+    assert.strictEqual(result.stdout, '[unset]');
+  });
+  
+  it('should keep only allowlisted variables with inheritEnv false', async () => {
+    const result = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "%s|%s|%s" "${BG_TEST_SECRET-unset}" "${ADDED-unset}" "${PATH:+path}"'],
+      env: { ADDED: 'yes' },
+      inheritEnv: false
+    });
+    assert.strictEqual(result.stdout, 'unset|yes|path');
+    
+    const allowed = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "%s" "${BG_TEST_SECRET-unset}"'],
+      inheritEnv: false,
+      allowEnv: ['BG_TEST_SECRET']
+    });
+    assert.strictEqual(allowed.stdout, 'server-only');
+  });
+  
+  it('should apply named profiles from ENV_PROFILES', async () => {
+    const staging = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "%s|%s" "$STAGE" "${BG_TEST_SECRET-unset}"'],
+      envProfile: 'staging'
+    });
+    assert.strictEqual(staging.stdout, 'staging|unset');
+    
+    const isolated = await runEnv({
+      cmd: 'sh',
+      args: ['-c', 'printf "%s|%s" "${BG_TEST_SECRET-unset}" "${HOSTNAME-unset}"'],
+      env: { HOSTNAME: 'overridden' },
+      envProfile: 'isolated'
+    });
+    assert.strictEqual(isolated.stdout, 'server-only|overridden');
+  });
+  
+  it('should reject unknown profiles and unreadable env files', async () => {
+    const profile = await runEnv({ cmd: 'true', envProfile: 'missing' });
+    assert.strictEqual(profile.ok, false);
+    assert.strictEqual(profile.errorCode, 'INVALID_ENV');
+    
+    const file = await runEnv({ cmd: 'true', cwd: envDir, envFile: 'missing.env' });
+    assert.strictEqual(file.ok, false);
+    assert.strictEqual(file.errorCode, 'INVALID_ENV');
+  });
+  
+  it('should report effective environment keys in listSessions', async () => {
+    const startId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'sleep',
+          args: ['5'],
+          env: { SESSION_ONLY: 'secret-value' },
+          inheritEnv: false
+        }
+      }
+    });
+    
+    const sessionId = (await testServer.waitForResponse(startId)).result.structuredContent.sessionId;
+    
+    const listId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: listId,
+      method: 'tools/call',
+      params: { name: 'listSessions', arguments: {} }
+    });
+    
+    const listResponse = await testServer.waitForResponse(listId);
+    const session = listResponse.result.structuredContent.sessions.find(s => s.sessionId === sessionId);
+    
+    assert.ok(session.envKeys.includes('SESSION_ONLY'));
+    assert.ok(session.envKeys.includes('PATH'));
+    assert.ok(!session.envKeys.includes('BG_TEST_SECRET'));
+    assert.ok(!JSON.stringify(session).includes('secret-value'));
+    
+    const stopId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: stopId,
+      method: 'tools/call',
+      params: { name: 'stopProcess', arguments: { sessionId, gracePeriodMs: 1000 } }
+    });
+    await testServer.waitForResponse(stopId);
+  });
+});
+
+describe('secret redaction', () => {
+  let testServer;
+  let logDir;
+  const secret = 'hunter2-very-secret';
+  const githubToken = 'ghp_' + 'a1B2c3D4e5'.repeat(4);
+  
+  // Helper to call a tool and return its structured result
+  async function call(name, args) {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: { name, arguments: args }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    return response.result.structuredContent;
+  }
+  
+  before(async () => {
+    logDir = fs.mkdtempSync('/tmp/bg-server-redact-');
+    
+    process.env.BG_TEST_TOKEN = secret;
+    process.env.REDACT_ENV = 'BG_TEST_TOKEN';
+    testServer = createTestServer();
+    delete process.env.REDACT_ENV;
+    delete process.env.BG_TEST_TOKEN;
+    
+    // Initialize server
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+  
+  it('should mask REDACT_ENV values and token formats in startProcessAndWait', async () => {
+    const result = await call('startProcessAndWait', {
+      cmd: 'sh',
+      args: ['-c', `echo "token=$BG_TEST_TOKEN"; echo "gh ${githubToken}"; sleep 0.5`]
+    });
+    const text = JSON.stringify(result.output);
+    
+    assert.ok(!text.includes(secret));
+    assert.ok(!text.includes(githubToken));
+    assert.match(text, /token=\[REDACTED\]/);
+    assert.match(text, /gh \[REDACTED\]/);
+    assert.strictEqual(result.redactions, 2);
+  });
+  
+  it('should apply redactEnv and redactPatterns per call', async () => {
+    const result = await call('startProcessAndWait', {
+      cmd: 'sh',
+      args: ['-c', 'printf "%s %s" "$DB_PASSWORD" "internal-4711"'],
+      mode: 'pipe',
+      env: { DB_PASSWORD: 'pa55word!' },
+      redactEnv: ['DB_PASSWORD'],
+      redactPatterns: ['internal-\\d+']
+    });
+    
+    assert.strictEqual(result.output.find(o => o.type === 'stdout').data, '[REDACTED] [REDACTED]');
+    assert.strictEqual(result.redactions, 2);
+  });
+  
+  it('should not mask hyphenated words that contain a token prefix', async () => {
+    const words = 'desk-booking-application-frontend my-task-queue-processor-deployment-7f9 risk-assessment-service-backend@1.0.0';
+    const result = await call('startProcessAndWait', {
+      cmd: 'printf',
+      args: ['%s', words],
+      mode: 'pipe'
+    });
+    
+    assert.strictEqual(result.output.find(o => o.type === 'stdout').data, words);
+    assert.strictEqual(result.redactions, 0);
+  });
+  
+  it('should skip the built-in token formats with redactBuiltins false', async () => {
+    const result = await call('startProcessAndWait', {
+      cmd: 'sh',
+      args: ['-c', `printf "%s %s" "$BG_TEST_TOKEN" "${githubToken}"`],
+      mode: 'pipe',
+      env: { BG_TEST_TOKEN: secret },
+      redactBuiltins: false
+    });
+    
+    assert.strictEqual(result.output.find(o => o.type === 'stdout').data, `[REDACTED] ${githubToken}`);
+    assert.strictEqual(result.redactions, 1);
+  });
+  
+  it('should mask a token split across two output chunks', async () => {
+    const result = await call('startProcessAndWait', {
+      cmd: 'sh',
+      args: ['-c', `printf '${githubToken.slice(0, 20)}'; sleep 0.3; printf '${githubToken.slice(20)}\\n'`],
+      mode: 'pipe'
+    });
+    const stdout = result.output.filter(o => o.type === 'stdout').map(o => o.data);
+    
+    assert.deepStrictEqual(stdout, ['[REDACTED]\n']);
+    assert.strictEqual(result.redactions, 1);
+  });
+  
+  it('should release a held back unterminated line at exit', async () => {
+    const result = await call('startProcessAndWait', {
+      cmd: 'sh',
+      args: ['-c', 'printf "key: sk-partial"'],
+      mode: 'pipe'
+    });
+    const stdout = result.output.filter(o => o.type === 'stdout').map(o => o.data).join('');
+    
+    assert.strictEqual(stdout, 'key: sk-partial');
+  });
+  
+  it('should mask secrets in binary pipe output', async () => {
+    const result = await call('startProcessAndWait', {
+      cmd: 'sh',
+      args: ['-c', 'printf "\\377$BG_TEST_TOKEN\\n"'],
+      mode: 'pipe'
+    });
+    const chunk = result.output.find(o => o.type === 'stdout');
+    
+    assert.strictEqual(chunk.encoding, 'base64');
+    assert.deepStrictEqual(Buffer.from(chunk.data, 'base64'), Buffer.from('\xff[REDACTED]\n', 'latin1'));
+    assert.strictEqual(result.redactions, 1);
+  });
+  
+  it('should mask secrets in session buffers, logs and listSessions counts', async () => {
+    const started = await call('startProcessBackground', {
+      cmd: 'sh',
+      args: ['-c', 'echo "secret: $BG_TEST_TOKEN"; sleep 5'],
+      logToFile: true,
+      logDir
+    });
+    
+    const waited = await call('waitForOutput', { sessionId: started.sessionId, pattern: 'secret:', timeoutMs: 3000 });
+    assert.strictEqual(waited.matched, true);
+    
+    const output = await call('getSessionOutput', { sessionId: started.sessionId, format: 'text' });
+    assert.match(output.text, /secret: \[REDACTED\]/);
+    
+    const logText = fs.readFileSync(`${logDir}/${started.sessionId}.jsonl`, 'utf8');
+    assert.ok(logText.includes('[REDACTED]'));
+    assert.ok(!logText.includes(secret));
+    
+    const list = await call('listSessions', {});
+    const session = list.sessions.find(s => s.sessionId === started.sessionId);
+    assert.strictEqual(session.redactions, 1);
+    
+    await call('stopProcess', { sessionId: started.sessionId, gracePeriodMs: 1000 });
+  });
+  
+  it('should reject invalid redactPatterns', async () => {
+    const result = await call('startProcessAndWait', { cmd: 'true', redactPatterns: ['('] });
+    
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /Invalid redactPatterns/);
   });
 });
@@ -0,0 +1,304 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+/**
+ * Unit tests for terminal screen tools:
+ * - getScreen
+ * - resizeSession
+ * 
+ * These tests verify:
+ * - Rendering of cursor movement and redraws
+ * - Cursor position reporting
+ * - Scrollback retrieval
+ * - Terminal resizing
+ */
+
+// Helper to create test MCP server
+function createTestServer() {
+  const server = spawn('node', ['bg-server-mcp-shell.js'], {
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  
+  let responseBuffer = '';
+  const responses = [];
+  
+  server.stdout.on('data', (data) => {
+    responseBuffer += data.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          responses.push(JSON.parse(line));
+        } catch (e) {
+          // Skip non-JSON lines
+        }
+      }
+    }
+  });
+  
+  return {
+    server,
+    responses,
+    send: (request) => {
+      server.stdin.write(JSON.stringify(request) + '\n');
+    },
+    waitForResponse: (id, timeoutMs = 5000) => {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error(`Timeout waiting for response with id ${id}`));
+        }, timeoutMs);
+        
+        const check = () => {
+          const response = responses.find(r => r.id === id);
+          if (response) {
+            clearTimeout(timeout);
+            resolve(response);
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    },
+    close: () => {
+      server.kill();
+    }
+  };
+}
+
+describe('getScreen', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to start a background process and return its sessionId
+  async function startBackground(args, extra = {}) {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args, ...extra }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    return response.result.structuredContent.sessionId;
+  }
+  
+  it('should return error for non-existent session', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getScreen',
+        arguments: { sessionId: 'non-existent-id' }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.match(response.result.structuredContent.error, /not found/i);
+  });
+  
+  it('should render cursor movement and overwrites', async () => {
+    const sessionId = await startBackground(
+      ['-c', 'printf "Loading...\\r\\nstatus: 10%%"; printf "\\033[2;9H99%%"; printf "\\033[1;1HDone!     "; sleep 3'],
+      { cols: 40, rows: 5 }
+    );
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getScreen',
+        arguments: { sessionId }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.cols, 40);
+    assert.strictEqual(result.rows, 5);
+    assert.strictEqual(result.lines.length, 5);
+    assert.strictEqual(result.lines[0], 'Done!');
+    assert.strictEqual(result.lines[1], 'status: 99%');
+    assert.deepStrictEqual(result.cursor, { x: 10, y: 0 });
+  });
+  
+  it('should include scrollback lines when requested', async () => {
+    const sessionId = await startBackground(['-c', 'for i in 1 2 3 4 5 6 7 8; do echo line$i; done; sleep 3'], { rows: 4 });
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getScreen',
+        arguments: { sessionId, scrollbackLines: 2 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.deepStrictEqual(result.lines, ['line6', 'line7', 'line8', '']);
+    assert.deepStrictEqual(result.scrollback, ['line4', 'line5']);
+  });
+});
+
+describe('resizeSession', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  it('should return error for non-existent session', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'resizeSession',
+        arguments: { sessionId: 'non-existent-id', cols: 100, rows: 40 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.match(response.result.structuredContent.error, /not found/i);
+  });
+  
+  it('should resize pty, session record and screen', async () => {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args: ['-c', 'sleep 0.5; stty size; sleep 3'], cols: 80, rows: 24 }
+      }
+    });
+    
+    const startResponse = await testServer.waitForResponse(startId);
+    const sessionId = startResponse.result.structuredContent.sessionId;
+    
+    const resizeId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: resizeId,
+      method: 'tools/call',
+      params: {
+        name: 'resizeSession',
+        arguments: { sessionId, cols: 160, rows: 40 }
+      }
+    });
+    
+    const resizeResponse = await testServer.waitForResponse(resizeId);
+    assert.strictEqual(resizeResponse.result.structuredContent.ok, true);
+    
+    const waitId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: waitId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: '\\d+ \\d+', timeoutMs: 3000 }
+      }
+    });
+    
+    const waitResponse = await testServer.waitForResponse(waitId);
+    assert.strictEqual(waitResponse.result.structuredContent.match, '40 160');
+    
+    const screenId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: screenId,
+      method: 'tools/call',
+      params: {
+        name: 'getScreen',
+        arguments: { sessionId }
+      }
+    });
+    
+    const screen = (await testServer.waitForResponse(screenId)).result.structuredContent;
+    assert.strictEqual(screen.cols, 160);
+    assert.strictEqual(screen.rows, 40);
+    
+    const outputId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: outputId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId }
+      }
+    });
+    
+    const output = (await testServer.waitForResponse(outputId)).result.structuredContent.output;
+    assert.ok(output.some(o => o.type === 'resize' && o.cols === 160 && o.rows === 40));
+  });
+});
@@ -2,6 +2,9 @@ import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 /**
  * Unit tests for session management tools:
@@ -351,7 +354,7 @@ describe('getSessionOutput', () => {
     });
     
     const firstResponse = await testServer.waitForResponse(firstId);
-    const totalLines = firstResponse.result.structuredContent.totalLines;
+    const totalChunks = firstResponse.result.structuredContent.totalChunks;
     
     // Get from index
     const secondId = randomUUID();
@@ -370,7 +373,66 @@ describe('getSessionOutput', () => {
     
     const secondResponse = await testServer.waitForResponse(secondId);
     
-    assert.ok(secondResponse.result.structuredContent.output.length < totalLines);
+    assert.ok(secondResponse.result.structuredContent.output.length < totalChunks);
+  });
+  
+  it('should count real lines in totalLines', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId, tail: 10 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.totalLines, 2);
+    assert.deepStrictEqual(result.lines, [
+      { line: 1, text: 'Hello' },
+      { line: 2, text: 'World' }
+    ]);
+    assert.strictEqual(result.output, undefined);
+  });
+  
+  it('should read incrementally with afterSeq and nextSeq', async () => {
+    const firstId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: firstId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId, afterSeq: 0 }
+      }
+    });
+    
+    const first = (await testServer.waitForResponse(firstId)).result.structuredContent;
+    
+    assert.ok(first.output.length > 0);
+    assert.strictEqual(first.nextSeq, first.output[first.output.length - 1].seq);
+    assert.strictEqual(first.truncated, undefined);
+    
+    const secondId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: secondId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId, afterSeq: first.nextSeq }
+      }
+    });
+    
+    const second = (await testServer.waitForResponse(secondId)).result.structuredContent;
+    
+    assert.ok(second.output.every(entry => entry.seq > first.nextSeq));
+    assert.ok(second.nextSeq >= first.nextSeq);
   });
   
   it('should include exit information for completed sessions', async () => {
@@ -395,6 +457,317 @@ describe('getSessionOutput', () => {
   });
 });
 
+describe('getSessionOutput - line ranges', () => {
+  let testServer;
+  let sessionId;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+    
+    // Print 100 numbered lines in a few chunks and leave an unterminated prompt
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'for i in $(seq 1 100); do echo "row $i"; done; printf "Continue? "; sleep 3']
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    sessionId = response.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to call getSessionOutput with arguments
+  async function getOutput(args) {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId, ...args }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    return response.result.structuredContent;
+  }
+  
+  it('should return the last N lines with tail', async () => {
+    const result = await getOutput({ tail: 3 });
+    
+    assert.strictEqual(result.totalLines, 101);
+    assert.deepStrictEqual(result.lines, [
+      { line: 99, text: 'row 99' },
+      { line: 100, text: 'row 100' },
+      { line: 101, text: 'Continue? ', partial: true }
+    ]);
+  });
+  
+  it('should return the first N lines with head', async () => {
+    const result = await getOutput({ head: 2 });
+    
+    assert.deepStrictEqual(result.lines.map(l => l.text), ['row 1', 'row 2']);
+  });
+  
+  it('should return a line range with fromLine and toLine', async () => {
+    const result = await getOutput({ fromLine: 10, toLine: 12 });
+    
+    assert.deepStrictEqual(result.lines.map(l => l.line), [10, 11, 12]);
+    assert.deepStrictEqual(result.lines.map(l => l.text), ['row 10', 'row 11', 'row 12']);
+  });
+  
+  it('should limit returned text with maxChars', async () => {
+    const result = await getOutput({ tail: 10, maxChars: 20 });
+    
+    assert.deepStrictEqual(result.lines.map(l => l.line), [100, 101]);
+    assert.strictEqual(result.omittedLines, 8);
+  });
+});
+
+describe('getSessionOutput - formats', () => {
+  let testServer;
+  let sessionId;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+    
+    // Colored output and a progress counter redrawn with carriage returns
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'printf "\\033[31mfailed\\033[0m build\\n"; printf "10%%\\r50%%\\r100%%\\n"; sleep 3']
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    sessionId = response.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to call getSessionOutput and return the whole result
+  async function getOutput(args) {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId, ...args }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    return response.result;
+  }
+  
+  it('should return plain text with a status header', async () => {
+    const result = await getOutput({ format: 'text' });
+    
+    assert.strictEqual(result.structuredContent.text, 'failed build\n100%\n');
+    assert.strictEqual(result.structuredContent.output, undefined);
+    assert.match(result.content[0].text, /^\[status=running totalLines=2 nextSeq=\d+\]\nfailed build\n100%\n$/);
+  });
+  
+  it('should return cleaned numbered lines', async () => {
+    const result = await getOutput({ format: 'lines', tail: 1 });
+    
+    assert.deepStrictEqual(result.structuredContent.lines, [{ line: 2, text: '100%' }]);
+    assert.match(result.content[0].text, /\]\n100%$/);
+  });
+  
+  it('should keep raw chunks by default', async () => {
+    const result = await getOutput({});
+    
+    const raw = result.structuredContent.output.map(o => o.data).join('');
+    assert.match(raw, /\x1b\[31m/);
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), result.structuredContent);
+  });
+});
+
+describe('session log files', () => {
+  let testServer;
+  let sessionId;
+  let logDir;
+  
+  before(async () => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-shell-logs-'));
+    testServer = createTestServer();
+    // Drain the server log on stderr so a full pipe cannot stall the server
+    testServer.server.stderr.resume();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+    
+    // Print more lines than the in-memory line buffer holds
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: {
+          cmd: 'bash',
+          args: ['-c', 'seq 1 12000; sleep 1'],
+          logToFile: true,
+          logDir
+        }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    sessionId = response.result.structuredContent.sessionId;
+    
+    await new Promise(resolve => setTimeout(resolve, 1500));
+  });
+  
+  after(() => {
+    testServer.close();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+  
+  it('should report log path and size in listSessions', async () => {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'listSessions',
+        arguments: {}
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const session = response.result.structuredContent.sessions.find(s => s.sessionId === sessionId);
+    
+    assert.strictEqual(path.dirname(session.logPath), logDir);
+    assert.ok(fs.existsSync(session.logPath));
+    assert.strictEqual(session.logBytes, fs.statSync(session.logPath).size);
+  });
+  
+  it('should close the log file once the process has exited', { skip: !fs.existsSync('/proc/self/fd') }, async () => {
+    let session;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const requestId = randomUUID();
+      testServer.send({
+        jsonrpc: '2.0',
+        id: requestId,
+        method: 'tools/call',
+        params: {
+          name: 'listSessions',
+          arguments: {}
+        }
+      });
+      
+      const response = await testServer.waitForResponse(requestId);
+      session = response.result.structuredContent.sessions.find(s => s.sessionId === sessionId);
+      if (!session.isRunning) break;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    const fdDir = `/proc/${testServer.server.pid}/fd`;
+    const openFiles = fs.readdirSync(fdDir).map(fd => {
+      try {
+        return fs.readlinkSync(path.join(fdDir, fd));
+      } catch (e) {
+        return null;
+      }
+    });
+    
+    assert.strictEqual(session.isRunning, false);
+    assert.ok(!openFiles.includes(session.logPath));
+    assert.ok(fs.readFileSync(session.logPath, 'utf8').trimEnd().endsWith('}'));
+  });
+  
+  it('should read evicted lines back from disk', async () => {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'getSessionOutput',
+        arguments: { sessionId, fromLine: 1, toLine: 3 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.totalLines, 12000);
+    assert.deepStrictEqual(result.lines, [
+      { line: 1, text: '1' },
+      { line: 2, text: '2' },
+      { line: 3, text: '3' }
+    ]);
+  });
+});
+
 describe('cleanupSessions', () => {
   let testServer;
   
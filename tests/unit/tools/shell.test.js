@@ -0,0 +1,200 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+/**
+ * Unit tests for persistent shell sessions:
+ * - startShell
+ * - runInShell
+ * 
+ * These tests verify:
+ * - Command output, exit code and cwd per command
+ * - Shell state (cd, export) persisting between commands
+ * - Timeout interruption and shell exit handling
+ * - Bounded output when a command overflows the session buffer
+ */
+
+// Helper to create test MCP server
+function createTestServer() {
+  const server = spawn('node', ['bg-server-mcp-shell.js'], {
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  
+  let responseBuffer = '';
+  const responses = [];
+  
+  server.stdout.on('data', (data) => {
+    responseBuffer += data.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          responses.push(JSON.parse(line));
+        } catch (e) {
+          // Skip non-JSON lines
+        }
+      }
+    }
+  });
+  
+  return {
+    server,
+    responses,
+    send: (request) => {
+      server.stdin.write(JSON.stringify(request) + '\n');
+    },
+    waitForResponse: (id, timeoutMs = 5000) => {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error(`Timeout waiting for response with id ${id}`));
+        }, timeoutMs);
+        
+        const check = () => {
+          const response = responses.find(r => r.id === id);
+          if (response) {
+            clearTimeout(timeout);
+            resolve(response);
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    },
+    close: () => {
+      server.kill();
+    }
+  };
+}
+
+describe('startShell and runInShell', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to call a tool and return its structured result
+  async function callTool(name, args) {
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: { name, arguments: args }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 10000);
+    return response.result.structuredContent;
+  }
+  
+  it('should start a shell in the given directory', async () => {
+    const result = await callTool('startShell', { shell: 'bash', cwd: '/tmp' });
+    
+    assert.strictEqual(result.ok, true);
+    assert.ok(result.sessionId);
+    assert.ok(result.pid > 0);
+    assert.strictEqual(result.shell, 'bash');
+    assert.strictEqual(result.cwd, '/tmp');
+  });
+  
+  it('should return output, exit code and cwd of each command', async () => {
+    const { sessionId } = await callTool('startShell', { shell: 'bash', cwd: '/tmp' });
+    
+    const first = await callTool('runInShell', { sessionId, command: 'echo hello; exit_with() { return $1; }; exit_with 3' });
+    assert.strictEqual(first.status, 'completed');
+    assert.strictEqual(first.output, 'hello\r\n');
+    assert.strictEqual(first.exitCode, 3);
+    assert.strictEqual(first.cwd, '/tmp');
+    assert.ok(first.durationMs >= 0);
+    
+    const second = await callTool('runInShell', { sessionId, command: 'true' });
+    assert.strictEqual(second.output, '');
+    assert.strictEqual(second.exitCode, 0);
+  });
+  
+  it('should keep cd and exported variables between commands', async () => {
+    const { sessionId } = await callTool('startShell', { shell: 'sh', cwd: '/tmp' });
+    
+    const cd = await callTool('runInShell', { sessionId, command: 'cd / && export GREETING=persisted' });
+    assert.strictEqual(cd.cwd, '/');
+    
+    const echo = await callTool('runInShell', { sessionId, command: 'echo "$GREETING"' });
+    assert.strictEqual(echo.output, 'persisted\r\n');
+    assert.strictEqual(echo.cwd, '/');
+  });
+  
+  it('should interrupt a command on timeout and keep the shell usable', async () => {
+    const { sessionId } = await callTool('startShell', { shell: 'bash' });
+    
+    const slow = await callTool('runInShell', { sessionId, command: 'sleep 10', timeoutMs: 500 });
+    assert.strictEqual(slow.status, 'timeout');
+    assert.strictEqual(slow.exitCode, null);
+    
+    const next = await callTool('runInShell', { sessionId, command: 'echo still alive' });
+    assert.strictEqual(next.status, 'completed');
+    assert.strictEqual(next.output, 'still alive\r\n');
+  });
+  
+  it('should bound output that overflows the session buffer', async () => {
+    const { sessionId } = await callTool('startShell', { shell: 'bash' });
+    
+    const result = await callTool('runInShell', { sessionId, command: 'for i in $(seq 1 12000); do echo line $i; done', maxOutputChars: 5000 });
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(result.truncated, true);
+    assert.ok(result.omittedLines > 0);
+    assert.ok(result.output.length <= 5100);
+    assert.ok(result.output.startsWith('line 1\r\n'));
+    assert.match(result.output, /\[\.\.\. \d+ lines omitted \.\.\.\]/);
+    assert.ok(result.output.endsWith('line 12000\r\n'));
+    
+    const small = await callTool('runInShell', { sessionId, command: 'echo small' });
+    assert.strictEqual(small.output, 'small\r\n');
+    assert.strictEqual(small.truncated, undefined);
+  });
+  
+  it('should report when the shell exits', async () => {
+    const { sessionId } = await callTool('startShell', { shell: 'bash' });
+    
+    const result = await callTool('runInShell', { sessionId, command: 'exit 0' });
+    assert.strictEqual(result.status, 'exited');
+    assert.strictEqual(result.isRunning, false);
+    
+    const after = await callTool('runInShell', { sessionId, command: 'echo hi' });
+    assert.strictEqual(after.ok, false);
+    assert.match(after.error, /exited/);
+  });
+  
+  it('should reject sessions that are not shells', async () => {
+    const started = await callTool('startProcessBackground', { cmd: 'sleep', args: ['2'] });
+    
+    const result = await callTool('runInShell', { sessionId: started.sessionId, command: 'echo hi' });
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /not a shell/);
+    
+    const missing = await callTool('runInShell', { sessionId: 'non-existent-id', command: 'echo hi' });
+    assert.strictEqual(missing.error, 'Session not found');
+  });
+});
@@ -0,0 +1,276 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+/**
+ * Unit tests for output waiting tools:
+ * - waitForOutput
+ * 
+ * These tests verify:
+ * - Pattern matching on buffered and new output
+ * - Failure patterns
+ * - Process exit and timeout handling
+ */
+
+// Helper to create test MCP server
+function createTestServer() {
+  const server = spawn('node', ['bg-server-mcp-shell.js'], {
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  
+  let responseBuffer = '';
+  const responses = [];
+  
+  server.stdout.on('data', (data) => {
+    responseBuffer += data.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          responses.push(JSON.parse(line));
+        } catch (e) {
+          // Skip non-JSON lines
+        }
+      }
+    }
+  });
+  
+  return {
+    server,
+    responses,
+    send: (request) => {
+      server.stdin.write(JSON.stringify(request) + '\n');
+    },
+    waitForResponse: (id, timeoutMs = 5000) => {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error(`Timeout waiting for response with id ${id}`));
+        }, timeoutMs);
+        
+        const check = () => {
+          const response = responses.find(r => r.id === id);
+          if (response) {
+            clearTimeout(timeout);
+            resolve(response);
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    },
+    close: () => {
+      server.kill();
+    }
+  };
+}
+
+describe('waitForOutput', () => {
+  let testServer;
+  
+  before(async () => {
+    testServer = createTestServer();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: 'init',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
+    });
+    
+    await testServer.waitForResponse('init');
+  });
+  
+  after(() => {
+    testServer.close();
+  });
+  
+  // Helper to start a background process and return its sessionId
+  async function startBackground(args) {
+    const startId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: startId,
+      method: 'tools/call',
+      params: {
+        name: 'startProcessBackground',
+        arguments: { cmd: 'bash', args }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(startId);
+    return response.result.structuredContent.sessionId;
+  }
+  
+  it('should return error for non-existent session', async () => {
+    const requestId = randomUUID();
+    
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId: 'non-existent-id', pattern: 'ready' }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    
+    assert.strictEqual(response.result.structuredContent.ok, false);
+    assert.match(response.result.structuredContent.error, /not found/i);
+  });
+  
+  it('should resolve when output matches pattern', async () => {
+    const sessionId = await startBackground(['-c', 'echo starting; sleep 0.5; echo "ready on http://localhost:5173"; sleep 5']);
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'ready on (http://\\S+)', timeoutMs: 5000 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.matched, true);
+    assert.strictEqual(result.status, 'matched');
+    assert.strictEqual(result.match, 'ready on http://localhost:5173');
+    assert.strictEqual(typeof result.index, 'number');
+    assert.ok(result.context.some(line => line.includes('starting')));
+  });
+  
+  it('should report the earliest match among several patterns', async () => {
+    const sessionId = await startBackground(['-c', 'echo "Overwrite? "; echo "Name: "; sleep 5']);
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: ['Name: ', 'Overwrite\\?'], timeoutMs: 5000 }
+      }
+    });
+    
+    const result = (await testServer.waitForResponse(requestId, 6000)).result.structuredContent;
+    
+    assert.strictEqual(result.matched, true);
+    assert.strictEqual(result.patternIndex, 1);
+    assert.strictEqual(result.match, 'Overwrite?');
+  });
+  
+  it('should continue from nextSeq of a previous wait', async () => {
+    const sessionId = await startBackground(['-c', 'echo "step done"; sleep 0.5; echo "step done"; sleep 5']);
+    
+    const firstId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: firstId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'step done', timeoutMs: 5000 }
+      }
+    });
+    
+    const first = (await testServer.waitForResponse(firstId, 6000)).result.structuredContent;
+    assert.strictEqual(first.matched, true);
+    
+    const secondId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: secondId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'step done', afterSeq: first.nextSeq, timeoutMs: 5000 }
+      }
+    });
+    
+    const second = (await testServer.waitForResponse(secondId, 6000)).result.structuredContent;
+    assert.strictEqual(second.matched, true);
+    assert.ok(second.seq > first.seq);
+    assert.ok(second.elapsedMs > 200);
+  });
+  
+  it('should stop on failure pattern', async () => {
+    const sessionId = await startBackground(['-c', 'echo "Error: port in use"; sleep 5']);
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'ready', failurePattern: ['^Error:'], flags: 'm', timeoutMs: 5000 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.matched, false);
+    assert.strictEqual(result.status, 'failed');
+    assert.match(result.match, /Error:/);
+  });
+  
+  it('should resolve when process exits without a match', async () => {
+    const sessionId = await startBackground(['-c', 'echo done; exit 3']);
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'never printed', timeoutMs: 5000 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId, 6000);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.status, 'exited');
+    assert.strictEqual(result.isRunning, false);
+    assert.strictEqual(result.exitCode, 3);
+  });
+  
+  it('should time out when nothing matches', async () => {
+    const sessionId = await startBackground(['-c', 'sleep 5']);
+    
+    const requestId = randomUUID();
+    testServer.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'tools/call',
+      params: {
+        name: 'waitForOutput',
+        arguments: { sessionId, pattern: 'ready', timeoutMs: 300 }
+      }
+    });
+    
+    const response = await testServer.waitForResponse(requestId);
+    const result = response.result.structuredContent;
+    
+    assert.strictEqual(result.status, 'timeout');
+    assert.strictEqual(result.isRunning, true);
+  });
+});